@@ -0,0 +1,182 @@
+/*!
+ *  Audio analyser for the audio player.
+ *  Taps Howler's master gain with an AnalyserNode (and routes HTML5 Audio through it)
+ *  to measure how loud and how busy the music is right now.
+ */
+
+(function () {
+  /**
+   * Check if an audio element's source can be analysed. Cross-origin audio without CORS
+   * comes out of Web Audio as silence, so we must leave it alone.
+   * @param  {HTMLAudioElement} node Audio element.
+   * @return {Boolean}
+   */
+  var canRoute = function (node) {
+    if (node.crossOrigin) {
+      return true;
+    }
+
+    try {
+      var src = new URL(node.currentSrc || node.src, location.href);
+      return src.origin === location.origin || src.protocol === "data:";
+    } catch (e) {
+      return false;
+    }
+  };
+
+  /**
+   * Real-time level meter for everything Howler plays.
+   * @param {Object} o Options:
+   *   fftSize   {Number} AnalyserNode FFT size (default 1024).
+   *   smoothing {Number} How much of the previous reading to keep each frame, 0 to 1 (default 0.8).
+   */
+  var AudioAnalyser = function (o) {
+    o = o || {};
+
+    this.fftSize = o.fftSize || 1024;
+    this.smoothing = typeof o.smoothing === "number" ? o.smoothing : 0.8;
+
+    this.node = null;
+    this.timeData = null;
+    this.freqData = null;
+    this.level = 0;
+    this.energy = 0;
+
+    // Howls whose audio reaches the analyser.
+    this.attached = [];
+  };
+  AudioAnalyser.prototype = {
+    /**
+     * Create the AnalyserNode on Howler's master gain, once Howler has an AudioContext.
+     * @return {Boolean} True if Web Audio is available to analyse with.
+     */
+    setup: function () {
+      var self = this;
+
+      if (self.node) {
+        return true;
+      }
+      if (!Howler.usingWebAudio || !Howler.ctx || !Howler.masterGain) {
+        return false;
+      }
+
+      self.node = Howler.ctx.createAnalyser();
+      self.node.fftSize = self.fftSize;
+      self.timeData = new Float32Array(self.node.fftSize);
+      self.freqData = new Uint8Array(self.node.frequencyBinCount);
+
+      // Only listen in: the master gain keeps going straight to the speakers.
+      Howler.masterGain.connect(self.node);
+
+      return true;
+    },
+
+    /**
+     * Route the HTML5 Audio of a Howl through the analyser. Web Audio Howls already play
+     * through the master gain, so they only need to be counted as attached.
+     * HTML5 Audio from another origin needs CORS (the Howl's crossOrigin option).
+     * @param  {Howl} howl Howl about to play.
+     */
+    attach: function (howl) {
+      var self = this;
+      var routed = howl._webAudio;
+
+      if (!routed && self.setup()) {
+        howl._sounds.forEach(function (sound) {
+          var node = sound._node;
+          if (!node || !canRoute(node)) {
+            return;
+          }
+
+          // An element can only ever have one source node, so keep it on the element.
+          if (!node._analyserSource) {
+            try {
+              var source = Howler.ctx.createMediaElementSource(node);
+              source.connect(Howler.ctx.destination);
+              source.connect(self.node);
+              node._analyserSource = source;
+            } catch (e) {}
+          }
+          routed = routed || !!node._analyserSource;
+        });
+      }
+
+      if (routed && self.attached.indexOf(howl) < 0) {
+        self.attached.push(howl);
+      }
+    },
+
+    /**
+     * Disconnect the HTML5 Audio of a Howl before it is unloaded.
+     * @param  {Howl} howl Howl being unloaded.
+     */
+    detach: function (howl) {
+      var index = this.attached.indexOf(howl);
+      if (index >= 0) {
+        this.attached.splice(index, 1);
+      }
+
+      howl._sounds.forEach(function (sound) {
+        var node = sound._node;
+        if (node && node._analyserSource) {
+          node._analyserSource.disconnect();
+          node._analyserSource = null;
+        }
+      });
+    },
+
+    /**
+     * Take a reading. Call once per animation frame.
+     * @param  {Howl}   howl (optional) Howl being played, to check that its audio is reaching the analyser.
+     * @return {Object}      {time, freq, level, energy}, or null without Web Audio or when nothing (or not the
+     *                  Howl) is attached, as there is nothing to measure. time holds the waveform
+     *                  (Float32Array, -1 to 1) and freq the spectrum (Uint8Array, 0 to 255). level is the
+     *                  RMS loudness and energy how much is going on across the spectrum, both 0 to 1 and
+     *                  smoothed over time.
+     */
+    sample: function (howl) {
+      var self = this;
+      var attached = howl
+        ? self.attached.indexOf(howl) >= 0
+        : self.attached.length > 0;
+
+      if (!attached || !self.setup()) {
+        return null;
+      }
+
+      self.node.getFloatTimeDomainData(self.timeData);
+      self.node.getByteFrequencyData(self.freqData);
+
+      var sum = 0;
+      for (var i = 0; i < self.timeData.length; i++) {
+        sum += self.timeData[i] * self.timeData[i];
+      }
+      var rms = Math.sqrt(sum / self.timeData.length);
+
+      var total = 0;
+      for (var j = 0; j < self.freqData.length; j++) {
+        total += self.freqData[j];
+      }
+      var energy = total / (self.freqData.length * 255);
+
+      // The master gain is after the volume control, so read the music rather than the volume.
+      var volume = Howler.volume();
+      if (volume > 0.01) {
+        rms /= volume;
+      }
+
+      var keep = self.smoothing;
+      self.level = keep * self.level + (1 - keep) * Math.min(1, rms);
+      self.energy = keep * self.energy + (1 - keep) * energy;
+
+      return {
+        time: self.timeData,
+        freq: self.freqData,
+        level: self.level,
+        energy: self.energy,
+      };
+    },
+  };
+
+  window.AudioAnalyser = AudioAnalyser;
+})();
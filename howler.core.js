@@ -38,6 +38,7 @@
       self._howls = [];
       self._muted = false;
       self._volume = 1;
+      self._cacheLimit = 256 * 1024 * 1024;
       self._canPlayEvent = 'canplaythrough';
       self._navigator = (typeof window !== 'undefined' && window.navigator) ? window.navigator : null;
 
@@ -176,6 +177,78 @@
       return (this || Howler)._codecs[ext.replace(/^x-/, '')];
     },
 
+    /**
+     * Get a decoded buffer from the cache that Web Audio Howls load from.
+     * @param  {String} url Source URL.
+     * @return {AudioBuffer} Decoded buffer, or undefined if it isn't cached.
+     */
+    cachedBuffer: function(url) {
+      cacheTouch(url);
+
+      return cache[url];
+    },
+
+    /**
+     * Add a buffer decoded outside of Howler to the cache, so Howls with the same source don't download it again.
+     * @param  {String}      url    Source URL.
+     * @param  {AudioBuffer} buffer Decoded buffer.
+     * @return {Howler}
+     */
+    cacheBuffer: function(url, buffer) {
+      cachePut(url, buffer);
+
+      return this || Howler;
+    },
+
+    /**
+     * Get/set how much memory the decoded buffers in the cache may take up. Going over evicts the least
+     * recently used buffers, except those playing (or about to) in a Web Audio Howl.
+     * @param  {Number} bytes Limit in bytes.
+     * @return {Howler/Number} Returns self or the current limit.
+     */
+    cacheLimit: function(bytes) {
+      var self = this || Howler;
+
+      if (typeof bytes === 'number' && bytes >= 0) {
+        self._cacheLimit = bytes;
+        evictCache();
+
+        return self;
+      }
+
+      return self._cacheLimit;
+    },
+
+    /**
+     * Get the state of the decoded buffer cache.
+     * @return {Object} {entries, bytes, limit, pinned, pinnedBytes, hits, misses, evictions}, where pinned
+     *                  buffers are those playing (or about to) in a Web Audio Howl, and hits and misses count
+     *                  Howls loading.
+     */
+    cacheStats: function() {
+      var self = this || Howler;
+      var pinned = 0;
+      var pinnedBytes = 0;
+
+      for (var i=0; i<cacheOrder.length; i++) {
+        if (isPinned(cacheOrder[i])) {
+          pinned++;
+          pinnedBytes += bufferBytes(cache[cacheOrder[i]]);
+        }
+      }
+
+      return {
+        entries: cacheOrder.length,
+        bytes: cacheTotals.bytes,
+        limit: self._cacheLimit,
+        pinned: pinned,
+        pinnedBytes: pinnedBytes,
+        hits: cacheTotals.hits,
+        misses: cacheTotals.misses,
+        evictions: cacheTotals.evictions
+      };
+    },
+
     /**
      * Setup various state values for global tracking.
      * @return {Howler}
@@ -475,12 +548,19 @@
       self._sprite = o.sprite || {};
       self._src = (typeof o.src !== 'string') ? o.src : [o.src];
       self._volume = o.volume !== undefined ? o.volume : 1;
-      self._xhrWithCredentials = o.xhrWithCredentials || false;
+      self._method = o.method || 'GET';
+      self._headers = o.headers || {};
+      self._credentials = o.credentials || (o.xhrWithCredentials ? 'include' : 'same-origin');
+      self._requestInit = o.requestInit || null;
+      self._crossOrigin = o.crossOrigin || null;
+      self._streamDecode = o.stream || false;
 
       // Setup all other default properties.
       self._duration = 0;
       self._state = 'unloaded';
       self._sounds = [];
+      self._abort = null;
+      self._stream = null;
       self._endTimers = {};
       self._queue = [];
       self._playLock = false;
@@ -490,6 +570,9 @@
       self._onfade = o.onfade ? [{fn: o.onfade}] : [];
       self._onload = o.onload ? [{fn: o.onload}] : [];
       self._onloaderror = o.onloaderror ? [{fn: o.onloaderror}] : [];
+      self._onprogress = o.onprogress ? [{fn: o.onprogress}] : [];
+      self._ondecode = o.ondecode ? [{fn: o.ondecode}] : [];
+      self._onbuffering = o.onbuffering ? [{fn: o.onbuffering}] : [];
       self._onplayerror = o.onplayerror ? [{fn: o.onplayerror}] : [];
       self._onpause = o.onpause ? [{fn: o.onpause}] : [];
       self._onplay = o.onplay ? [{fn: o.onplay}] : [];
@@ -582,6 +665,7 @@
         // Check if this extension is available.
         if (ext && Howler.codecs(ext)) {
           url = self._src[i];
+          self._ext = ext;
           break;
         }
       }
@@ -663,6 +747,12 @@
         sprite = sound._sprite || '__default';
       }
 
+      // The cache may have evicted the buffer while the Howl sat idle, so decode it again first.
+      if (self._webAudio && self._state === 'loaded' && !self._stream && !cache[self._src]) {
+        self._state = 'loading';
+        loadBuffer(self);
+      }
+
       // If the sound hasn't loaded, we must wait to get the audio's duration.
       // We also need to wait to make sure we don't run into race conditions with
       // the order of function calls.
@@ -703,6 +793,7 @@
       }
 
       // Determine how long to play for and where to start playing.
+      var startAt = self._playAt || 0;
       var seek = Math.max(0, sound._seek > 0 ? sound._seek : self._sprite[sprite][0] / 1000);
       var duration = Math.max(0, ((self._sprite[sprite][0] + self._sprite[sprite][1]) / 1000) - seek);
       var timeout = (duration * 1000) / Math.abs(sound._rate);
@@ -726,24 +817,28 @@
           // Setup the playback params.
           var vol = (sound._muted || self._muted) ? 0 : sound._volume;
           node.gain.setValueAtTime(vol, Howler.ctx.currentTime);
-          sound._playStart = Howler.ctx.currentTime;
+
+          // Start now, or at the time asked for by playAt if that is still to come.
+          var when = Math.max(Howler.ctx.currentTime, startAt);
+          var delay = (when - Howler.ctx.currentTime) * 1000;
+          sound._playStart = when;
 
           // Play the sound using the supported method.
           if (typeof node.bufferSource.start === 'undefined') {
-            sound._loop ? node.bufferSource.noteGrainOn(0, seek, 86400) : node.bufferSource.noteGrainOn(0, seek, duration);
+            sound._loop ? node.bufferSource.noteGrainOn(when, seek, 86400) : node.bufferSource.noteGrainOn(when, seek, duration);
           } else {
-            sound._loop ? node.bufferSource.start(0, seek, 86400) : node.bufferSource.start(0, seek, duration);
+            sound._loop ? node.bufferSource.start(when, seek, 86400) : node.bufferSource.start(when, seek, duration);
           }
 
           // Start a new timer if none is present.
           if (timeout !== Infinity) {
-            self._endTimers[sound._id] = setTimeout(self._ended.bind(self, sound), timeout);
+            self._endTimers[sound._id] = setTimeout(self._ended.bind(self, sound), timeout + delay);
           }
 
           if (!internal) {
             setTimeout(function() {
               self._emit('play', sound._id);
-            }, 0);
+            }, delay);
           }
         };
 
@@ -821,6 +916,23 @@
       return sound._id;
     },
 
+    /**
+     * Play a sound at a time on the AudioContext clock, e.g. right as another ends for gapless playback.
+     * Only Web Audio can be scheduled; HTML5 Audio (or a sound that hasn't loaded yet) plays as soon as it can.
+     * @param  {Number} time   Time to start at, in seconds on Howler.ctx.currentTime's clock.
+     * @param  {String/Number} sprite (optional) Sprite name for sprite playback or sound id to continue previous.
+     * @return {Number}        Sound ID.
+     */
+    playAt: function(time, sprite) {
+      var self = this;
+
+      self._playAt = self._webAudio && self._state === 'loaded' ? time : 0;
+      var id = self.play(sprite);
+      self._playAt = 0;
+
+      return id;
+    },
+
     /**
      * Pause playback and save current position.
      * @param  {Number} id The sound ID (empty to pause all in group).
@@ -1464,7 +1576,13 @@
           self._emit('seek', id);
         } else {
           if (self._webAudio) {
-            var realTime = self.playing(id) ? Howler.ctx.currentTime - sound._playStart : 0;
+            // A sound waiting for a stream to decode more stays where it is waiting.
+            if (typeof sound._starved === 'number' && self.playing(id)) {
+              return sound._starved;
+            }
+
+            // A sound scheduled with playAt is still at its start until then.
+            var realTime = self.playing(id) ? Math.max(0, Howler.ctx.currentTime - sound._playStart) : 0;
             var rateSeek = sound._rateSeek ? sound._rateSeek - sound._seek : 0;
             return sound._seek + (rateSeek + realTime * Math.abs(sound._rate));
           } else {
@@ -1518,6 +1636,33 @@
       return duration;
     },
 
+    /**
+     * Get the parts of the audio that have been downloaded so far.
+     * Web Audio loads the whole file before playing, so it is all or nothing.
+     * @param  {Number} id (optional) The sound id to check. If none is passed, the first sound is used.
+     * @return {Array}     Time ranges as [start, end] in seconds.
+     */
+    buffered: function(id) {
+      var self = this;
+
+      if (self._webAudio) {
+        if (self._stream) {
+          return self._stream._length ? [[0, self._stream._length / self._stream._sampleRate]] : [];
+        }
+        return self._state === 'loaded' ? [[0, self._duration]] : [];
+      }
+
+      var sound = self._soundById(id) || self._sounds[0];
+      var ranges = [];
+      if (sound && sound._node && sound._node.buffered) {
+        for (var i=0; i<sound._node.buffered.length; i++) {
+          ranges.push([sound._node.buffered.start(i), sound._node.buffered.end(i)]);
+        }
+      }
+
+      return ranges;
+    },
+
     /**
      * Returns the current loaded state of this Howl.
      * @return {String} 'unloaded', 'loading', 'loaded'
@@ -1533,6 +1678,15 @@
     unload: function() {
       var self = this;
 
+      // Cancel a download (and decoding) still in progress.
+      if (self._abort) {
+        self._abort.abort();
+        self._abort = null;
+      }
+      if (self._stream) {
+        self._stream.cancel();
+      }
+
       // Stop playing any active sounds.
       var sounds = self._sounds;
       for (var i=0; i<sounds.length; i++) {
@@ -1552,6 +1706,10 @@
           // Remove any event listeners.
           sounds[i]._node.removeEventListener('error', sounds[i]._errorFn, false);
           sounds[i]._node.removeEventListener(Howler._canPlayEvent, sounds[i]._loadFn, false);
+          sounds[i]._node.removeEventListener('progress', sounds[i]._progressFn, false);
+          sounds[i]._node.removeEventListener('waiting', sounds[i]._waitingFn, false);
+          sounds[i]._node.removeEventListener('stalled', sounds[i]._waitingFn, false);
+          sounds[i]._node.removeEventListener('playing', sounds[i]._playingFn, false);
         }
 
         // Empty out all of the nodes.
@@ -1567,18 +1725,8 @@
         }
       }
 
-      // Delete this sound from the cache (if no other Howl is using it).
-      var remCache = true;
-      for (i=0; i<Howler._howls.length; i++) {
-        if (Howler._howls[i]._src === self._src) {
-          remCache = false;
-          break;
-        }
-      }
-
-      if (cache && remCache) {
-        delete cache[self._src];
-      }
+      // Leave the buffer in the cache for the next Howl of the same source, unless it is over its limit.
+      evictCache();
 
       // Clear global errors.
       Howler.noAudio = false;
@@ -1907,7 +2055,18 @@
 
       // Setup the buffer source for playback.
       sound._node.bufferSource = Howler.ctx.createBufferSource();
-      sound._node.bufferSource.buffer = cache[self._src];
+      sound._node.bufferSource.buffer = self._stream ? self._stream._buffer : cache[self._src];
+
+      // Note how far the audio goes while it is still being decoded.
+      if (self._stream) {
+        sound._streamEnd = self._stream._length / self._stream._sampleRate;
+      }
+
+      // Starting again (e.g. seeking) ends the wait for more audio, and the stream checks for it anew.
+      if (typeof sound._starved === 'number') {
+        sound._starved = null;
+        self._emit('buffering', sound._id, false);
+      }
 
       // Connect to the correct node.
       if (sound._panner) {
@@ -2014,6 +2173,20 @@
         self._loadFn = self._loadListener.bind(self);
         self._node.addEventListener(Howler._canPlayEvent, self._loadFn, false);
 
+        // Listen for download progress, and for playback waiting on the network and getting going again.
+        self._progressFn = self._progressListener.bind(self);
+        self._node.addEventListener('progress', self._progressFn, false);
+        self._waitingFn = self._waitingListener.bind(self);
+        self._node.addEventListener('waiting', self._waitingFn, false);
+        self._node.addEventListener('stalled', self._waitingFn, false);
+        self._playingFn = self._playingListener.bind(self);
+        self._node.addEventListener('playing', self._playingFn, false);
+
+        // Request HTML5 Audio with CORS when asked, so it can also be routed through Web Audio.
+        if (parent._crossOrigin) {
+          self._node.crossOrigin = parent._crossOrigin;
+        }
+
         // Setup the new audio node.
         self._node.src = parent._src;
         self._node.preload = 'auto';
@@ -2087,14 +2260,695 @@
 
       // Clear the event listener.
       self._node.removeEventListener(Howler._canPlayEvent, self._loadFn, false);
+    },
+
+    /**
+     * HTML5 Audio progress listener callback.
+     */
+    _progressListener: function() {
+      var self = this;
+      var node = self._node;
+
+      // Report the end of the furthest range downloaded, as a fraction of the whole.
+      if (node.buffered && node.buffered.length && node.duration) {
+        self._parent._emit('progress', self._id, node.buffered.end(node.buffered.length - 1) / node.duration);
+      }
+    },
+
+    /**
+     * HTML5 Audio waiting/stalled listener callback.
+     */
+    _waitingListener: function() {
+      var self = this;
+
+      // 'stalled' also fires while paused, or when there is already enough to play, so only count it when playback is held up.
+      if (!self._paused && self._node.readyState < 3) {
+        self._parent._emit('buffering', self._id, true);
+      }
+    },
+
+    /**
+     * HTML5 Audio playing listener callback.
+     */
+    _playingListener: function() {
+      var self = this;
+
+      self._parent._emit('buffering', self._id, false);
     }
   };
 
+  /** Streaming Decode **/
+  /***************************************************************************/
+
+  /**
+   * Worker that decodes MP3 as it downloads, with WebCodecs. It splits the bytes it is sent into frames,
+   * decodes them and sends the audio back in batches.
+   * Messages in: {type: 'start', total}, {type: 'data', bytes}, {type: 'end'}.
+   * Messages out: {type: 'info', sampleRate, channels, frames}, {type: 'audio', channels}, {type: 'done'}, {type: 'error', message}.
+   */
+  var streamWorker = function() {
+    // Layer III bitrates in kbps (MPEG-1, then MPEG-2 and 2.5) and sample rates by version.
+    var BITRATES = [
+      [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+      [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    ];
+    var SAMPLE_RATES = {3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000]};
+
+    // Seconds of decoded audio to send back at a time.
+    var BATCH = 0.5;
+
+    var total = 0;
+    var pending = new Uint8Array(0);
+    var skip = 0;
+    var info = null;
+    var decoder = null;
+    var timestamp = 0;
+    var batch = [];
+    var batched = 0;
+    var failed = false;
+
+    var fail = function(err) {
+      if (!failed) {
+        failed = true;
+        postMessage({type: 'error', message: (err && err.message) || String(err)});
+      }
+    };
+
+    // Read the MPEG audio frame header at a position, or return null if there isn't one.
+    var header = function(bytes, i) {
+      if (bytes[i] !== 0xFF || (bytes[i + 1] & 0xE0) !== 0xE0) {
+        return null;
+      }
+
+      var version = (bytes[i + 1] >> 3) & 3;
+      var layer = (bytes[i + 1] >> 1) & 3;
+      var bitrate = bytes[i + 2] >> 4;
+      var rate = (bytes[i + 2] >> 2) & 3;
+      if (version === 1 || layer !== 1 || bitrate === 0 || bitrate === 15 || rate === 3) {
+        return null;
+      }
+
+      var sampleRate = SAMPLE_RATES[version][rate];
+      var kbps = BITRATES[version === 3 ? 0 : 1][bitrate];
+      var samples = version === 3 ? 1152 : 576;
+
+      return {
+        version: version,
+        sampleRate: sampleRate,
+        channels: (bytes[i + 3] >> 6) === 3 ? 1 : 2,
+        samples: samples,
+        kbps: kbps,
+        length: Math.floor(samples / 8 * kbps * 1000 / sampleRate) + ((bytes[i + 2] >> 1) & 1)
+      };
+    };
+
+    // Read the frame count from a Xing/Info frame (found at the start of VBR files), or return null if it isn't one.
+    var xingFrames = function(data, frame) {
+      var side = frame.version === 3 ? (frame.channels === 1 ? 17 : 32) : (frame.channels === 1 ? 9 : 17);
+      var i = 4 + side;
+      var tag = String.fromCharCode(data[i], data[i + 1], data[i + 2], data[i + 3]);
+      if (tag !== 'Xing' && tag !== 'Info') {
+        return null;
+      }
+
+      var flags = data[i + 7];
+      return (flags & 1) ? ((data[i + 8] << 24) | (data[i + 9] << 16) | (data[i + 10] << 8) | data[i + 11]) >>> 0 : 0;
+    };
+
+    // Send the batched audio back, one Float32Array per channel.
+    var send = function() {
+      if (!batched) {
+        return;
+      }
+
+      var channels = [];
+      for (var c = 0; c < batch[0].length; c++) {
+        var data = new Float32Array(batched);
+        var offset = 0;
+        for (var i = 0; i < batch.length; i++) {
+          data.set(batch[i][Math.min(c, batch[i].length - 1)], offset);
+          offset += batch[i][0].length;
+        }
+        channels.push(data);
+      }
+
+      batch = [];
+      batched = 0;
+      postMessage({type: 'audio', channels: channels}, channels.map(function(data) {
+        return data.buffer;
+      }));
+    };
+
+    var output = function(audio) {
+      var channels = [];
+      for (var c = 0; c < audio.numberOfChannels; c++) {
+        var plane = new Float32Array(audio.numberOfFrames);
+        audio.copyTo(plane, {planeIndex: c, format: 'f32-planar'});
+        channels.push(plane);
+      }
+      batched += audio.numberOfFrames;
+      audio.close();
+
+      batch.push(channels);
+      if (batched >= BATCH * info.sampleRate) {
+        send();
+      }
+    };
+
+    // Set up the decoder from the first frame, and let the page know how long the track is likely to be.
+    var start = function(frame, frames) {
+      info = frame;
+
+      // Without a Xing/Info frame count, estimate it from the size of the download (as if it were CBR).
+      var length = frames ? frames * frame.samples : Math.floor(total * 8 / (frame.kbps * 1000) * frame.sampleRate);
+      postMessage({type: 'info', sampleRate: frame.sampleRate, channels: frame.channels, frames: length});
+
+      decoder = new AudioDecoder({output: output, error: fail});
+      decoder.configure({codec: 'mp3', sampleRate: frame.sampleRate, numberOfChannels: frame.channels});
+    };
+
+    // Decode the complete frames in some bytes, and return what is left over.
+    var parse = function(bytes) {
+      var i = 0;
+
+      while (i + 4 <= bytes.length && !failed) {
+        if (skip) {
+          var n = Math.min(skip, bytes.length - i);
+          i += n;
+          skip -= n;
+          continue;
+        }
+
+        // Skip an ID3v2 tag at the start.
+        if (!info && bytes[i] === 0x49 && bytes[i + 1] === 0x44 && bytes[i + 2] === 0x33) {
+          if (i + 10 > bytes.length) {
+            break;
+          }
+          skip = 10 + ((bytes[i + 6] & 0x7F) << 21 | (bytes[i + 7] & 0x7F) << 14 | (bytes[i + 8] & 0x7F) << 7 | (bytes[i + 9] & 0x7F)) +
+            ((bytes[i + 5] & 0x10) ? 10 : 0);
+          continue;
+        }
+
+        // Look for the next frame if this isn't one (e.g. an ID3v1 tag or junk).
+        var frame = header(bytes, i);
+        if (!frame) {
+          i++;
+          continue;
+        }
+        if (i + frame.length > bytes.length) {
+          break;
+        }
+
+        var data = bytes.subarray(i, i + frame.length);
+        i += frame.length;
+
+        if (!info) {
+          var frames = xingFrames(data, frame);
+          start(frame, frames);
+
+          // The Xing/Info frame holds no audio.
+          if (frames !== null) {
+            continue;
+          }
+        }
+
+        decoder.decode(new EncodedAudioChunk({type: 'key', timestamp: timestamp, data: data}));
+        timestamp += frame.samples / frame.sampleRate * 1000000;
+      }
+
+      return bytes.slice(i);
+    };
+
+    onmessage = function(event) {
+      var msg = event.data;
+
+      if (failed) {
+        return;
+      }
+
+      if (msg.type === 'start') {
+        total = msg.total;
+        if (typeof AudioDecoder === 'undefined') {
+          fail('WebCodecs is not available.');
+        }
+      } else if (msg.type === 'data') {
+        var bytes = new Uint8Array(pending.length + msg.bytes.length);
+        bytes.set(pending);
+        bytes.set(msg.bytes, pending.length);
+
+        try {
+          pending = parse(bytes);
+        } catch (err) {
+          fail(err);
+        }
+      } else if (msg.type === 'end') {
+        if (!decoder) {
+          fail('No MPEG audio frames found.');
+          return;
+        }
+
+        decoder.flush().then(function() {
+          send();
+          postMessage({type: 'done'});
+        }, fail);
+      }
+    };
+  };
+
+  var streamWorkerUrl = null;
+
+  /**
+   * Decodes a Web Audio Howl in a Worker as it downloads, loading the Howl as soon as the first few
+   * seconds are ready and growing its buffer as it goes (see the `stream` option).
+   * @param {Howl}   howl  Howl being loaded.
+   * @param {Number} total Size of the download in bytes (0 if unknown).
+   */
+  var Stream = function(howl, total) {
+    var self = this;
+
+    self._parent = howl;
+    self._buffer = null;
+    self._length = 0;
+    self._sampleRate = 0;
+    self._data = null;
+    self._failed = false;
+    self._timer = null;
+
+    // Give the Howl the default sprite while the duration is still an estimate, so it can be moved as that changes.
+    self._sprite = Object.keys(howl._sprite).length === 0;
+
+    if (!streamWorkerUrl) {
+      streamWorkerUrl = URL.createObjectURL(new Blob(['(' + streamWorker.toString() + ')();'], {type: 'application/javascript'}));
+    }
+    self._worker = new Worker(streamWorkerUrl);
+    self._worker.onmessage = function(event) {
+      if (howl._stream === self) {
+        self['_' + event.data.type](event.data);
+      }
+    };
+    self._worker.postMessage({type: 'start', total: total});
+
+    howl._stream = self;
+  };
+  Stream.prototype = {
+    /**
+     * Pass on a chunk of the download to decode.
+     * @param  {Uint8Array} bytes
+     */
+    push: function(bytes) {
+      if (!this._failed) {
+        this._worker.postMessage({type: 'data', bytes: bytes});
+      }
+    },
+
+    /**
+     * The download has finished.
+     * @param  {ArrayBuffer} arraybuffer The whole file, to decode the usual way if the Worker can't.
+     */
+    end: function(arraybuffer) {
+      var self = this;
+
+      self._data = arraybuffer;
+      if (self._failed) {
+        self._fallback();
+      } else {
+        self._worker.postMessage({type: 'end'});
+      }
+    },
+
+    /**
+     * Stop decoding, e.g. when the Howl is unloaded.
+     */
+    cancel: function() {
+      var self = this;
+
+      clearInterval(self._timer);
+      self._worker.terminate();
+      if (self._parent._stream === self) {
+        self._parent._stream = null;
+      }
+    },
+
+    /**
+     * Worker message: the format of the track, and how many sample frames it is likely to have.
+     * @param  {Object} data {sampleRate, channels, frames}
+     */
+    _info: function(data) {
+      var self = this;
+
+      self._sampleRate = data.sampleRate;
+
+      // Make room for the whole track (or a minute if there is no telling how long it is).
+      self._setBuffer(Howler.ctx.createBuffer(data.channels, data.frames || data.sampleRate * 60, data.sampleRate));
+    },
+
+    /**
+     * Worker message: more decoded audio.
+     * @param  {Object} data {channels} with a Float32Array per channel.
+     */
+    _audio: function(data) {
+      var self = this;
+      var length = data.channels[0].length;
+
+      // Grow the buffer if the estimate was short.
+      if (self._length + length > self._buffer.length) {
+        var buffer = Howler.ctx.createBuffer(self._buffer.numberOfChannels, Math.ceil((self._length + length) * 1.5), self._sampleRate);
+        self._copy(self._buffer, buffer);
+        self._setBuffer(buffer);
+      }
+
+      for (var c = 0; c < self._buffer.numberOfChannels; c++) {
+        self._buffer.copyToChannel(data.channels[Math.min(c, data.channels.length - 1)], c, self._length);
+      }
+      self._length += length;
+
+      self._parent._emit('progress', null, Math.min(1, self._length / self._buffer.length));
+
+      // Load the Howl once there is enough to start playing.
+      if (self._parent._state !== 'loaded' && self._length >= Stream.START * self._sampleRate) {
+        loadSound(self._parent);
+        self._timer = setInterval(self._check.bind(self), 250);
+      }
+    },
+
+    /**
+     * Worker message: decoding has finished.
+     */
+    _done: function() {
+      var self = this;
+      var buffer = self._buffer;
+
+      // Trim off the room left over from the estimate.
+      if (buffer.length !== self._length) {
+        buffer = Howler.ctx.createBuffer(buffer.numberOfChannels, Math.max(1, self._length), self._sampleRate);
+        self._copy(self._buffer, buffer);
+      }
+
+      self._finish(buffer);
+    },
+
+    /**
+     * Worker message: it can't decode this file (e.g. no WebCodecs, or not really MP3).
+     * @param  {Object} data {message}
+     */
+    _error: function(data) {
+      var self = this;
+
+      console.warn('Unable to decode ' + self._parent._src + ' as it downloads: ' + data.message);
+      self._failed = true;
+      self._worker.terminate();
+
+      // Decode it the usual way once it has all downloaded. Sounds already playing keep being checked until
+      // then, so they wait where the decoded audio runs out.
+      if (self._data) {
+        self._fallback();
+      }
+    },
+
+    /**
+     * Decode the whole download with decodeAudioData.
+     */
+    _fallback: function() {
+      var self = this;
+
+      Howler.ctx.decodeAudioData(self._data, function(buffer) {
+        if (buffer && self._parent._stream === self) {
+          self._finish(buffer);
+        }
+      }, function() {
+        self.cancel();
+        self._parent._emit('loaderror', null, 'Decoding audio data failed.');
+      });
+    },
+
+    /**
+     * Hand the Howl its complete buffer, switching anything playing over to it.
+     * @param  {AudioBuffer} buffer Decoded track.
+     */
+    _finish: function(buffer) {
+      var self = this;
+      var howl = self._parent;
+
+      self.cancel();
+      cachePut(howl._src, buffer);
+      howl._duration = buffer.duration;
+      if (self._sprite) {
+        howl._sprite = {__default: [0, buffer.duration * 1000]};
+      }
+      howl._emit('progress', null, 1);
+      howl._emit('decode');
+
+      // It may have downloaded and decoded before there was enough to start early.
+      if (howl._state !== 'loaded') {
+        loadSound(howl, buffer);
+        return;
+      }
+
+      for (var i=0; i<howl._sounds.length; i++) {
+        var sound = howl._sounds[i];
+        if (self._sprite && sound._sprite === '__default') {
+          sound._stop = buffer.duration;
+        }
+        if (sound._paused || !sound._node || !sound._node.bufferSource) {
+          continue;
+        }
+
+        // Pick up where it ran out, or carry on seamlessly with the complete buffer.
+        if (typeof sound._starved === 'number') {
+          self._restart(sound);
+          continue;
+        }
+
+        var seek = self._swap(sound);
+        howl._clearTimer(sound._id);
+        if (!sound._loop) {
+          var timeout = Math.max(0, sound._stop - seek) * 1000 / Math.abs(sound._rate);
+          howl._endTimers[sound._id] = setTimeout(howl._ended.bind(howl, sound), timeout);
+        }
+      }
+    },
+
+    /**
+     * Keep the playing sounds going while decoding: switch them over to the buffer as it fills in before they
+     * run out of audio, and hold their place until there is more when they do.
+     */
+    _check: function() {
+      var self = this;
+      var howl = self._parent;
+      var decoded = self._length / self._sampleRate;
+
+      for (var i=0; i<howl._sounds.length; i++) {
+        var sound = howl._sounds[i];
+        if (sound._paused || !sound._node || !sound._node.bufferSource) {
+          continue;
+        }
+
+        // The duration is only an estimate until decoding finishes, so don't let it end the sound.
+        howl._clearTimer(sound._id);
+
+        // A starved sound starts again once a little has been decoded past where it is waiting.
+        if (typeof sound._starved === 'number') {
+          if (sound._starved + Stream.START <= decoded) {
+            self._restart(sound);
+          }
+          continue;
+        }
+
+        // Its source only has what was decoded when it started, so past that (whether it ran out or was sought
+        // there) it plays silence. Wait where the audio stopped, or at the position it was sought to.
+        var seek = howl.seek(sound._id);
+        if (seek >= sound._streamEnd) {
+          sound._starved = Math.max(sound._streamEnd, sound._seek);
+          howl._emit('buffering', sound._id, true);
+        } else if (sound._streamEnd < decoded && seek > sound._streamEnd - Stream.AHEAD) {
+          self._swap(sound);
+        }
+      }
+    },
+
+    /**
+     * Switch a playing sound over to the buffer as it is now, without a gap.
+     * @param  {Sound}  sound
+     * @return {Number}       Position it switches over at, in seconds.
+     */
+    _swap: function(sound) {
+      var howl = this._parent;
+      var old = sound._node.bufferSource;
+      var when = Howler.ctx.currentTime + Stream.SWAP_DELAY;
+      var seek = howl.seek(sound._id) + Stream.SWAP_DELAY * Math.abs(sound._rate);
+
+      howl._refreshBuffer(sound);
+      sound._node.bufferSource.start(when, seek, sound._loop ? 86400 : Math.max(0, sound._stop - seek));
+
+      old.onended = function() {
+        old.disconnect(0);
+      };
+      old.stop(when);
+
+      return seek;
+    },
+
+    /**
+     * Start a sound that ran out of audio again from where it is waiting (starting it afresh ends the wait,
+     * see _refreshBuffer).
+     * @param  {Sound} sound
+     */
+    _restart: function(sound) {
+      this._parent.seek(sound._starved, sound._id);
+    },
+
+    /**
+     * Use a new buffer for the decoded audio, moving the Howl's estimated duration to match it.
+     * @param  {AudioBuffer} buffer
+     */
+    _setBuffer: function(buffer) {
+      var self = this;
+      var howl = self._parent;
+
+      self._buffer = buffer;
+      howl._duration = buffer.duration;
+      if (self._sprite) {
+        howl._sprite = {__default: [0, buffer.duration * 1000]};
+        for (var i=0; i<howl._sounds.length; i++) {
+          if (howl._sounds[i]._sprite === '__default') {
+            howl._sounds[i]._stop = buffer.duration;
+          }
+        }
+      }
+    },
+
+    /**
+     * Copy the decoded part of one buffer into another.
+     * @param  {AudioBuffer} from
+     * @param  {AudioBuffer} to
+     */
+    _copy: function(from, to) {
+      var length = Math.min(this._length, to.length);
+      for (var c = 0; c < to.numberOfChannels; c++) {
+        to.copyToChannel(from.getChannelData(c).subarray(0, length), c);
+      }
+    }
+  };
+
+  /**
+   * Seconds to decode before loading the Howl, so it can start playing.
+   * @type {Number}
+   */
+  Stream.START = 2;
+
+  /**
+   * Seconds before running out of decoded audio to switch a playing sound over to the buffer as it has filled in.
+   * @type {Number}
+   */
+  Stream.AHEAD = 4;
+
+  /**
+   * Seconds ahead to schedule the switch over, so the old and new buffer sources meet without a gap.
+   * @type {Number}
+   */
+  Stream.SWAP_DELAY = 0.05;
+
   /** Helper Methods **/
   /***************************************************************************/
 
   var cache = {};
 
+  // Cached URLs from least to most recently used, and running totals for Howler.cacheStats().
+  var cacheOrder = [];
+  var cacheTotals = {bytes: 0, hits: 0, misses: 0, evictions: 0};
+
+  /**
+   * Work out the memory a decoded buffer takes up (32-bit samples for each channel).
+   * @param  {AudioBuffer} buffer
+   * @return {Number}             Size in bytes.
+   */
+  var bufferBytes = function(buffer) {
+    return buffer.length * buffer.numberOfChannels * 4;
+  };
+
+  /**
+   * Check if a cached buffer is playing (or about to) in a Web Audio Howl, which plays straight from the cache,
+   * so it can't be evicted. An idle Howl decodes its buffer again if it is evicted (see play).
+   * @param  {String}  url Source URL.
+   * @return {Boolean}
+   */
+  var isPinned = function(url) {
+    for (var i=0; i<Howler._howls.length; i++) {
+      var howl = Howler._howls[i];
+      if (!howl._webAudio || howl._src !== url) {
+        continue;
+      }
+
+      for (var j=0; j<howl._sounds.length; j++) {
+        if (!howl._sounds[j]._paused) {
+          return true;
+        }
+      }
+      for (j=0; j<howl._queue.length; j++) {
+        if (howl._queue[j].event === 'play') {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  };
+
+  /**
+   * Mark a cached buffer as the most recently used.
+   * @param  {String} url Source URL.
+   */
+  var cacheTouch = function(url) {
+    var index = cacheOrder.indexOf(url);
+    if (index >= 0) {
+      cacheOrder.splice(index, 1);
+      cacheOrder.push(url);
+    }
+  };
+
+  /**
+   * Add a decoded buffer to the cache, evicting others if that takes it over the limit.
+   * @param  {String}      url    Source URL.
+   * @param  {AudioBuffer} buffer Decoded buffer.
+   */
+  var cachePut = function(url, buffer) {
+    cacheDelete(url);
+    cache[url] = buffer;
+    cacheOrder.push(url);
+    cacheTotals.bytes += bufferBytes(buffer);
+
+    evictCache();
+  };
+
+  /**
+   * Remove a buffer from the cache.
+   * @param  {String} url Source URL.
+   */
+  var cacheDelete = function(url) {
+    if (!cache[url]) {
+      return;
+    }
+
+    cacheTotals.bytes -= bufferBytes(cache[url]);
+    cacheOrder.splice(cacheOrder.indexOf(url), 1);
+    delete cache[url];
+  };
+
+  /**
+   * Evict the least recently used buffers that aren't in use until the cache is within its limit.
+   */
+  var evictCache = function() {
+    var i = 0;
+    while (cacheTotals.bytes > Howler._cacheLimit && i < cacheOrder.length) {
+      if (isPinned(cacheOrder[i])) {
+        i++;
+      } else {
+        cacheDelete(cacheOrder[i]);
+        cacheTotals.evictions++;
+      }
+    }
+  };
+
   /**
    * Buffer a sound from URL, Data URI or cache and decode to audio source (Web Audio API).
    * @param  {Howl} self
@@ -2104,6 +2958,9 @@
 
     // Check if the buffer has already been cached and use it instead.
     if (cache[url]) {
+      cacheTotals.hits++;
+      cacheTouch(url);
+
       // Set the duration from the cache.
       self._duration = cache[url].duration;
 
@@ -2113,8 +2970,10 @@
       return;
     }
 
+    cacheTotals.misses++;
+
     if (/^data:[^;]+;base64,/.test(url)) {
-      // Decode the base64 data URI without XHR, since some browsers don't support it.
+      // Decode the base64 data URI without a request, since some browsers don't support it.
       var data = atob(url.split(',')[1]);
       var dataView = new Uint8Array(data.length);
       for (var i=0; i<data.length; ++i) {
@@ -2123,45 +2982,144 @@
 
       decodeAudioData(dataView.buffer, self);
     } else {
-      // Load the buffer from the URL.
-      var xhr = new XMLHttpRequest();
-      xhr.open('GET', url, true);
-      xhr.withCredentials = self._xhrWithCredentials;
-      xhr.responseType = 'arraybuffer';
-      xhr.onload = function() {
+      // Load the buffer from the URL, cancelling the request if the Howl is unloaded before it's done.
+      self._abort = typeof AbortController !== 'undefined' ? new AbortController() : null;
+
+      var init = {
+        method: self._method,
+        headers: self._headers,
+        credentials: self._credentials,
+        signal: self._abort ? self._abort.signal : undefined
+      };
+      if (self._requestInit) {
+        init = self._requestInit(init, url) || init;
+      }
+
+      fetch(url, init).catch(downloadError).then(function(res) {
         // Make sure we get a successful response back.
-        var code = (xhr.status + '')[0];
-        if (code !== '0' && code !== '2' && code !== '3') {
-          self._emit('loaderror', null, 'Failed loading audio file with status: ' + xhr.status + '.');
+        if (!res.ok) {
+          self._abort = null;
+          self._emit('loaderror', null, 'Failed loading audio file with status: ' + res.status + '.');
           return;
         }
 
-        decodeAudioData(xhr.response, self);
-      };
-      xhr.onerror = function() {
-        // If there is an error, switch to HTML5 Audio.
+        // Decode MP3 as it downloads when asked to, so it can start playing before it has all arrived.
+        var stream = null;
+        if (self._streamDecode && /^(mp3|mpeg)$/.test(self._ext) && typeof Worker !== 'undefined' && typeof AudioDecoder !== 'undefined') {
+          stream = new Stream(self, parseInt(res.headers.get('Content-Length'), 10) || 0);
+        }
+
+        return readResponse(res, self, stream).then(function(arraybuffer) {
+          self._abort = null;
+          if (stream) {
+            stream.end(arraybuffer);
+          } else {
+            decodeAudioData(arraybuffer, self);
+          }
+        });
+      }).catch(function(err) {
+        // The download was cancelled, so there is nothing left to load.
+        if (err && err.name === 'AbortError') {
+          return;
+        }
+
+        self._abort = null;
+
+        // It's too late to switch to HTML5 Audio once a stream has started playing, so report the error instead.
+        if (self._stream) {
+          self._stream.cancel();
+          if (self._state === 'loaded') {
+            self._emit('loaderror', null, 'Failed streaming audio file.');
+            return;
+          }
+        }
+
+        // HTML5 Audio is only worth a try when the download failed, not when handling what arrived did.
+        if (!err || !err._download) {
+          self._emit('loaderror', null, 'Failed loading audio file: ' + (err && err.message || err) + '.');
+          return;
+        }
+
+        // If the download failed, switch to HTML5 Audio.
         if (self._webAudio) {
           self._html5 = true;
           self._webAudio = false;
           self._sounds = [];
-          delete cache[url];
+          cacheDelete(url);
           self.load();
         }
-      };
-      safeXhrSend(xhr);
+      });
     }
   };
 
   /**
-   * Send the XHR request wrapped in a try/catch.
-   * @param  {Object} xhr XHR to send.
+   * Mark an error as coming from the download itself (the request or reading the response), as opposed
+   * to handling what was downloaded, and pass it on.
+   * @param  {Error} err Error the download failed with.
    */
-  var safeXhrSend = function(xhr) {
-    try {
-      xhr.send();
-    } catch (e) {
-      xhr.onerror();
+  var downloadError = function(err) {
+    if (err && typeof err === 'object') {
+      err._download = true;
+    }
+
+    throw err;
+  };
+
+  /**
+   * Read a fetch response into an array buffer, firing the 'progress' event as it downloads.
+   * @param  {Response} res    Response to read.
+   * @param  {Howl}     self
+   * @param  {Stream}   stream (optional) Stream to pass each chunk on to as it arrives (it fires 'progress' itself, as it decodes).
+   * @return {Promise}         Resolves with the ArrayBuffer.
+   */
+  var readResponse = function(res, self, stream) {
+    var total = parseInt(res.headers.get('Content-Length'), 10) || 0;
+
+    // Without a stream to read, or a Content-Length (when there is nothing to stream to), there is no telling
+    // how far along we are.
+    if (!res.body || !res.body.getReader || (!total && !stream)) {
+      return res.arrayBuffer().catch(downloadError).then(function(arraybuffer) {
+        if (stream) {
+          stream.push(new Uint8Array(arraybuffer.slice(0)));
+        }
+
+        return arraybuffer;
+      });
     }
+
+    var reader = res.body.getReader();
+    var chunks = [];
+    var loaded = 0;
+
+    var read = function() {
+      return reader.read().catch(downloadError).then(function(result) {
+        if (!result.done) {
+          chunks.push(result.value);
+          loaded += result.value.length;
+
+          if (stream) {
+            stream.push(result.value);
+          } else {
+            // A compressed response can come to more than its Content-Length.
+            self._emit('progress', null, Math.min(1, loaded / total));
+          }
+
+          return read();
+        }
+
+        // Join the chunks together.
+        var data = new Uint8Array(loaded);
+        var offset = 0;
+        for (var i=0; i<chunks.length; i++) {
+          data.set(chunks[i], offset);
+          offset += chunks[i].length;
+        }
+
+        return data.buffer;
+      });
+    };
+
+    return read();
   };
 
   /**
@@ -2173,7 +3131,8 @@
     // Decode the buffer into an audio source.
     Howler.ctx.decodeAudioData(arraybuffer, function(buffer) {
       if (buffer && self._sounds.length > 0) {
-        cache[self._src] = buffer;
+        cachePut(self._src, buffer);
+        self._emit('decode');
         loadSound(self, buffer);
       }
     }, function() {
@@ -0,0 +1,140 @@
+/*!
+ *  Windowed list for the audio player's playlist.
+ *  Only the rows in view (and a few either side) are in the DOM, so libraries of
+ *  tens of thousands of tracks scroll as smoothly as a handful.
+ */
+
+(function () {
+  /**
+   * Scrolling list of fixed-height rows, drawn on demand.
+   * @param {Object} o Options:
+   *   container {Element}  Scrolling element to draw the rows in.
+   *   rowHeight {Number}   Height of a row in pixels (default 120).
+   *   overscan  {Number}   Rows to keep drawn above and below the visible ones (default 4).
+   *   className {String}   Class name of the rows (default 'list-row').
+   *   render    {Function} Called with (row, item) to fill in a row element for an item.
+   */
+  var ListView = function (o) {
+    var self = this;
+
+    self.container = o.container;
+    self.rowHeight = o.rowHeight || 120;
+    self.overscan = typeof o.overscan === "number" ? o.overscan : 4;
+    self.className = o.className || "list-row";
+    self.renderRow = o.render;
+
+    // Items being listed, and the rows drawn for them by position in the list.
+    self.items = [];
+    self.rows = {};
+    self.spare = [];
+
+    // Gives the container its full scroll height; the rows are positioned over it.
+    self.spacer = document.createElement("div");
+    self.spacer.style.position = "relative";
+    self.container.innerHTML = "";
+    self.container.appendChild(self.spacer);
+
+    self.frame = null;
+    self.container.addEventListener("scroll", function () {
+      if (!self.frame) {
+        self.frame = requestAnimationFrame(function () {
+          self.frame = null;
+          self.draw();
+        });
+      }
+    });
+  };
+  ListView.prototype = {
+    /**
+     * Replace the items being listed.
+     * @param  {Array} items
+     */
+    setItems: function (items) {
+      var self = this;
+
+      self.items = items;
+      self.spacer.style.height = items.length * self.rowHeight + "px";
+      self.refresh();
+    },
+
+    /**
+     * Redraw the rows in view, e.g. after the items themselves have changed.
+     */
+    refresh: function () {
+      var self = this;
+
+      Object.keys(self.rows).forEach(function (pos) {
+        self.release(pos);
+      });
+      self.draw();
+    },
+
+    /**
+     * Draw the rows now in view and recycle the ones that scrolled out of it.
+     */
+    draw: function () {
+      var self = this;
+      var top = self.container.scrollTop;
+      var height = self.container.clientHeight;
+      var first = Math.max(0, Math.floor(top / self.rowHeight) - self.overscan);
+      var last = Math.min(
+        self.items.length - 1,
+        Math.ceil((top + height) / self.rowHeight) + self.overscan,
+      );
+
+      Object.keys(self.rows).forEach(function (pos) {
+        if (pos < first || pos > last) {
+          self.release(pos);
+        }
+      });
+
+      for (var pos = first; pos <= last; pos++) {
+        if (!self.rows[pos]) {
+          var row = self.spare.pop() || document.createElement("div");
+          row.className = self.className;
+          row.style.position = "absolute";
+          row.style.top = pos * self.rowHeight + "px";
+          self.renderRow(row, self.items[pos]);
+
+          if (!row.parentNode) {
+            self.spacer.appendChild(row);
+          }
+          row.style.display = "";
+          self.rows[pos] = row;
+        }
+      }
+    },
+
+    /**
+     * Take a row out of view, keeping its element to reuse.
+     * @param  {Number} pos Position of the row in the list.
+     */
+    release: function (pos) {
+      var self = this;
+      var row = self.rows[pos];
+
+      row.style.display = "none";
+      self.spare.push(row);
+      delete self.rows[pos];
+    },
+
+    /**
+     * Scroll so the row at a position is in the middle of the view.
+     * @param  {Number} pos Position in the list.
+     */
+    scrollTo: function (pos) {
+      var self = this;
+
+      if (pos < 0 || pos >= self.items.length) {
+        return;
+      }
+
+      self.container.scrollTop =
+        pos * self.rowHeight -
+        (self.container.clientHeight - self.rowHeight) / 2;
+      self.draw();
+    },
+  };
+
+  window.ListView = ListView;
+})();
@@ -0,0 +1,315 @@
+/*!
+ *  Waveform (peaks) view for the audio player.
+ *  Draws a track's real amplitude envelope, with the played part highlighted.
+ *  Decoded audio is shared with Howler's buffer cache, and peaks are worked out in a Worker.
+ *  Known limitation: HTML5 Audio never hands over its decoded audio, so for HTML5 Howls the file is
+ *  downloaded a second time (from the browser's HTTP cache when it has kept it).
+ */
+
+(function () {
+  /**
+   * Reduce decoded channels to the loudest sample in each of `count` buckets, scaled so the loudest is 1.
+   * Runs in the Worker (see workerSource) or, without Worker support, on the main thread.
+   * @param  {Array}  channels Float32Array of samples per channel.
+   * @param  {Number} count    Number of peaks to return.
+   * @return {Float32Array}
+   */
+  var computePeaks = function (channels, count) {
+    var peaks = new Float32Array(count);
+    var length = channels[0].length;
+    var size = Math.max(1, Math.floor(length / count));
+    var max = 0;
+
+    for (var i = 0; i < count; i++) {
+      var start = i * size;
+      var end = Math.min(length, start + size);
+      var peak = 0;
+
+      for (var c = 0; c < channels.length; c++) {
+        var data = channels[c];
+        for (var j = start; j < end; j++) {
+          var val = data[j] < 0 ? -data[j] : data[j];
+          if (val > peak) {
+            peak = val;
+          }
+        }
+      }
+
+      peaks[i] = peak;
+      max = Math.max(max, peak);
+    }
+
+    if (max > 0) {
+      for (var k = 0; k < count; k++) {
+        peaks[k] /= max;
+      }
+    }
+
+    return peaks;
+  };
+
+  var workerSource =
+    "var computePeaks = " +
+    computePeaks.toString() +
+    ";\n" +
+    "onmessage = function (event) {\n" +
+    "  var peaks = computePeaks(event.data.channels, event.data.count);\n" +
+    "  postMessage({ id: event.data.id, peaks: peaks }, [peaks.buffer]);\n" +
+    "};\n";
+
+  /**
+   * Peaks already worked out, by source URL.
+   * @type {Object}
+   */
+  var cache = {};
+
+  /**
+   * Most samples per peak copied out of a decoded channel for the Worker. Longer tracks are
+   * downsampled to this, so the copy stays small whatever the length of the track.
+   * @type {Number}
+   */
+  var SAMPLES_PER_PEAK = 64;
+
+  /**
+   * Waveform view drawn on its own canvas in a container.
+   * @param {Object} o Options:
+   *   container {Element} Element to draw in (filled by the canvas).
+   *   count     {Number}  Number of peaks to work out per track (default 1000).
+   *   color     {String}  Color as 'r,g,b' (default '255,255,255').
+   */
+  var Peaks = function (o) {
+    var self = this;
+    o = o || {};
+
+    self.count = o.count || 1000;
+    self.color = o.color || "255,255,255";
+    self.ratio = window.devicePixelRatio || 1;
+
+    self.canvas = document.createElement("canvas");
+    self.canvas.style.width = self.canvas.style.height = "100%";
+    self.canvas.style.display = "none";
+    self.ctx = self.canvas.getContext("2d");
+    (o.container || document.body).appendChild(self.canvas);
+
+    // Peaks of the track being shown (null until they are ready) and where we are in it.
+    self.url = null;
+    self.peaks = null;
+    self.progress = 0;
+
+    self.worker = null;
+    self.jobs = {};
+    self.jobId = 0;
+  };
+  Peaks.prototype = {
+    /**
+     * Show the waveform of a Howl's track, working out its peaks if we haven't already.
+     * @param  {Howl}    howl Howl of the track.
+     * @return {Promise}      Resolves with the peaks (null if they can't be worked out).
+     */
+    load: function (howl) {
+      var self = this;
+      var url = howl._src;
+
+      if (url === self.url) {
+        return Promise.resolve(self.peaks);
+      }
+
+      self.url = url;
+      self.peaks = cache[url] || null;
+      self.progress = 0;
+      self.draw(0);
+
+      if (self.peaks) {
+        return Promise.resolve(self.peaks);
+      }
+
+      return self
+        .buffer(howl)
+        .then(function (buffer) {
+          return self.compute(buffer);
+        })
+        .then(function (peaks) {
+          cache[url] = peaks;
+
+          // Only show them if we haven't moved on to another track meanwhile.
+          if (self.url === url) {
+            self.peaks = peaks;
+            self.draw(self.progress);
+          }
+
+          return peaks;
+        })
+        .catch(function (err) {
+          console.warn("Unable to draw the waveform of " + url + ".", err);
+          return null;
+        });
+    },
+
+    /**
+     * Get the decoded audio of a Howl's track, sharing it with Howler's cache both ways.
+     * @param  {Howl}    howl Howl of the track.
+     * @return {Promise}      Resolves with an AudioBuffer.
+     */
+    buffer: function (howl) {
+      var url = howl._src;
+
+      if (!Howler.usingWebAudio || !Howler.ctx) {
+        return Promise.reject(new Error("Web Audio is not available."));
+      }
+      if (Howler.cachedBuffer(url)) {
+        return Promise.resolve(Howler.cachedBuffer(url));
+      }
+
+      // A Web Audio Howl is already downloading and decoding it, so wait for that
+      // (a streamed one loads before it has finished decoding).
+      if (howl._webAudio && (howl.state() !== "loaded" || howl._stream)) {
+        return new Promise(function (resolve, reject) {
+          howl.once("decode", function () {
+            resolve(Howler.cachedBuffer(url));
+          });
+          howl.once("loaderror", reject);
+        });
+      }
+
+      // HTML5 Audio streams the file and never hands over its decoded audio, so download and decode
+      // it ourselves (the browser decodes off the main thread). Howler's cache keeps the buffer within
+      // its limit, so the next Web Audio Howl of the track doesn't download it again.
+      return fetch(url)
+        .then(function (res) {
+          if (!res.ok) {
+            throw new Error("HTTP " + res.status);
+          }
+
+          return res.arrayBuffer();
+        })
+        .then(function (data) {
+          return new Promise(function (resolve, reject) {
+            Howler.ctx.decodeAudioData(data, resolve, reject);
+          });
+        })
+        .then(function (buffer) {
+          Howler.cacheBuffer(url, buffer);
+          return buffer;
+        });
+    },
+
+    /**
+     * Work out the peaks of a decoded track in a Worker.
+     * @param  {AudioBuffer} buffer Decoded audio.
+     * @return {Promise}            Resolves with a Float32Array of peaks.
+     */
+    compute: function (buffer) {
+      var self = this;
+      var channels = [];
+      var step = Math.max(
+        1,
+        Math.floor(buffer.length / (self.count * SAMPLES_PER_PEAK)),
+      );
+
+      // The buffer itself stays in use (and in the cache), so the Worker gets downsampled copies.
+      for (var i = 0; i < buffer.numberOfChannels; i++) {
+        var data = buffer.getChannelData(i);
+        var channel = new Float32Array(Math.ceil(data.length / step));
+        for (var j = 0; j < channel.length; j++) {
+          channel[j] = data[j * step];
+        }
+        channels.push(channel);
+      }
+
+      if (typeof Worker === "undefined") {
+        return Promise.resolve(computePeaks(channels, self.count));
+      }
+
+      if (!self.worker) {
+        self.worker = new Worker(
+          URL.createObjectURL(
+            new Blob([workerSource], { type: "application/javascript" }),
+          ),
+        );
+        self.worker.onmessage = function (event) {
+          var done = self.jobs[event.data.id];
+          delete self.jobs[event.data.id];
+          if (done) {
+            done(event.data.peaks);
+          }
+        };
+      }
+
+      var id = ++self.jobId;
+
+      return new Promise(function (resolve) {
+        self.jobs[id] = resolve;
+        self.worker.postMessage(
+          { id: id, channels: channels, count: self.count },
+          channels.map(function (channel) {
+            return channel.buffer;
+          }),
+        );
+      });
+    },
+
+    /**
+     * Resize the canvas to fit its container.
+     * @param  {Number} width  Width in CSS pixels.
+     * @param  {Number} height Height in CSS pixels.
+     */
+    resize: function (width, height) {
+      var self = this;
+
+      self.ratio = window.devicePixelRatio || 1;
+      self.canvas.width = width * self.ratio;
+      self.canvas.height = height * self.ratio;
+      self.draw(self.progress);
+    },
+
+    /**
+     * Draw the waveform as mirrored bars, brighter up to the current position.
+     * @param  {Number} progress How far through the track we are (0.0 to 1.0).
+     */
+    draw: function (progress) {
+      var self = this;
+      var ctx = self.ctx;
+      var width = self.canvas.width;
+      var height = self.canvas.height;
+      var bar = 2 * self.ratio;
+      var step = 3 * self.ratio;
+
+      self.progress = progress || 0;
+      ctx.clearRect(0, 0, width, height);
+      if (!self.peaks) {
+        return;
+      }
+
+      var played = "rgba(" + self.color + ",0.9)";
+      var unplayed = "rgba(" + self.color + ",0.35)";
+      var bars = Math.floor(width / step);
+
+      for (var i = 0; i < bars; i++) {
+        // Each bar shows the loudest of the peaks it covers.
+        var from = Math.floor((i / bars) * self.peaks.length);
+        var to = Math.max(
+          from + 1,
+          Math.floor(((i + 1) / bars) * self.peaks.length),
+        );
+        var peak = 0;
+        for (var j = from; j < to; j++) {
+          peak = Math.max(peak, self.peaks[j]);
+        }
+
+        var h = Math.max(self.ratio, peak * height * 0.9);
+        ctx.fillStyle = i / bars < self.progress ? played : unplayed;
+        ctx.fillRect(i * step, (height - h) / 2, bar, h);
+      }
+    },
+
+    /**
+     * Show or hide the waveform.
+     * @param  {Boolean} visible
+     */
+    show: function (visible) {
+      this.canvas.style.display = visible ? "block" : "none";
+    },
+  };
+
+  window.Peaks = Peaks;
+})();
@@ -17,11 +17,14 @@ var elms = [
   "pauseBtn",
   "prevBtn",
   "nextBtn",
+  "shuffleBtn",
+  "repeatBtn",
   "playlistBtn",
   "volumeBtn",
   "progress",
-  "bar",
-  "wave",
+  "buffered",
+  "stall",
+  "waveform",
   "loading",
   "playlist",
   "list",
@@ -29,6 +32,25 @@ var elms = [
   "barEmpty",
   "barFull",
   "sliderBtn",
+  "visualizerBtn",
+  "muteBtn",
+  "scrubber",
+  "seekTip",
+  "help",
+  "helpList",
+  "helpReset",
+  "exportBar",
+  "search",
+  "noMatches",
+  "dropzone",
+  "resume",
+  "resumeText",
+  "resumeBtn",
+  "restartBtn",
+  "toast",
+  "toastText",
+  "toastLog",
+  "toastClose",
 ];
 elms.forEach(function (elm) {
   window[elm] = document.getElementById(elm);
@@ -37,214 +59,1897 @@ elms.forEach(function (elm) {
 /**
  * Player class containing the state of our playlist and where we are in it.
  * Includes all methods for playing, skipping, updating the display, etc.
- * @param {Array} playlist Array of objects with playlist song details ({title, file, howl}).
+ * @param {Array|String|File} playlist Array of tracks ({title, sources, howl}), or a manifest URL or file to load them from.
+ * @param {Object} options  Optional settings:
+ *   resolver  {SourceResolver|Object} Resolver (or its options) used to turn track sources into URLs.
+ *   html5     {Boolean} Stream tracks with HTML5 Audio (default true). Use false for gapless Web Audio playback.
+ *   stream    {Boolean} With Web Audio, start MP3s playing as they download and decode rather than once they
+ *                       have fully decoded (default true). Needs WebCodecs; otherwise they load in full first.
+ *   preload   {Number}  Seconds before the end of a track to start loading the next one (default 20).
+ *   maxLoaded {Number}  How many tracks to keep loaded before unloading the least recently played (default 3).
+ *   crossfade {Number}  Seconds to crossfade between tracks, 0 to turn it off (default 0).
+ *   crossfadeCurve {String} 'equal-power' (default) or 'linear'.
+ *   visualizer {String} Visualizer to show until the user picks another (default 'siriwave', see visualizers.js).
+ *   crossOrigin {String} CORS mode for HTML5 Audio (e.g. 'anonymous'). Streamed audio from another origin
+ *                        can only drive the audio-reactive wave when it is served with CORS.
  */
-var Player = function (playlist) {
-  this.playlist = playlist;
+var Player = function (playlist, options) {
+  options = options || {};
+
+  this.playlist = [];
   this.index = 0;
+  this.options = {
+    html5: options.html5 !== false,
+    stream: options.stream !== false,
+    preload: typeof options.preload === "number" ? options.preload : 20,
+    maxLoaded: options.maxLoaded || 3,
+    crossfade: options.crossfade || 0,
+    crossfadeCurve: options.crossfadeCurve || "equal-power",
+    crossOrigin: options.crossOrigin || null,
+  };
 
-  // Display the title of the first track.
-  track.innerHTML = "1. " + playlist[0].title;
+  // Measures the music so the wave can move with it.
+  this.analyser = new AudioAnalyser();
 
-  // Setup the playlist display.
-  playlist.forEach(function (song) {
-    var div = document.createElement("div");
-    div.className = "list-song";
-    div.innerHTML = song.title;
-    div.onclick = function () {
-      player.skipTo(playlist.indexOf(song));
-    };
-    list.appendChild(div);
+  // The visualizer in the #waveform slot, the ones made so far (by name), the one picked and the one
+  // showing (which stands in for the picked one when it has nothing to show, see drawVisualizer).
+  this.visualizers = {};
+  this.visualizer = null;
+  this.visualizerName = null;
+  this.shownVisualizer = null;
+  this.setVisualizer(
+    Player.readVisualizer() || options.visualizer || "siriwave",
+  );
+
+  // Running volume fades ({sound, cancelled}), and the Howls fading out of a crossfade.
+  this.fades = [];
+  this.fadingOut = [];
+  this.fadeIn = 0;
+
+  // Time on the audio clock to start the next track at, when handing over gaplessly,
+  // and the Howl handed over from (left to play out, so its end must not move us on again).
+  this.startAt = 0;
+  this.handedOver = null;
+
+  // Indexes of the tracks that have a Howl, most recently played first.
+  this.loaded = [];
+  this.nextTimer = null;
+  this.handoverTimer = null;
+
+  // Relative track sources are resolved against this (set from the manifest) unless the resolver has its own base.
+  this.baseUrl = location.href;
+  this.resolver =
+    options.resolver instanceof SourceResolver
+      ? options.resolver
+      : new SourceResolver(options.resolver);
+
+  // Bad manifest entries that were skipped during the last load.
+  this.manifestErrors = [];
+
+  // Play order state: shuffle on/off and the repeat mode ('all', 'one' or 'off').
+  // The order holds track IDs, so it stays right when tracks are added.
+  this.shuffle = false;
+  this.repeat = "all";
+  this.order = [];
+  this.orderPos = 0;
+
+  // Where to pick up playback in a resumed session ({id, seek}).
+  this.resumeAt = null;
+  this.savedAt = 0;
+  this.scrubbing = false;
+
+  // What the playlist is filtered by, the tracks it leaves showing and the row picked with the arrow keys
+  // (indexes into the playlist), and where each showing track is in the list.
+  this.query = "";
+  this.matches = [];
+  this.matchPos = {};
+  this.cursor = -1;
+
+  // Every playback failure this session, to look back on or export.
+  this.errorLog = [];
+  this.toastTimer = null;
+
+  // Tracks get an ID when they join the playlist, so rows can find them without searching.
+  this.lastTrackId = 0;
+  this.indexById = {};
+
+  // Only the rows in view are drawn.
+  this.listView = new ListView({
+    container: list,
+    className: "list-song",
+    render: this.renderRow.bind(this),
+  });
+
+  // The volume control restores its own level, so it is kept even when starting over.
+  this.volumeControl = new VolumeControl({
+    track: barEmpty,
+    fill: barFull,
+    thumb: sliderBtn,
+    button: volumeBtn,
+    muteButton: muteBtn,
+    wheel: [volume, volumeBtn],
   });
+
+  // Offer to resume the rest once the playlist is ready.
+  this.savedState = Player.readState();
+
+  if (Array.isArray(playlist)) {
+    this.setPlaylist(playlist);
+    this.offerResume();
+  } else {
+    this.loadManifest(playlist).then(this.offerResume.bind(this));
+  }
 };
 Player.prototype = {
+  /**
+   * Replace the playlist and rebuild the playlist display.
+   * @param  {Array} songs Array of tracks ({title, sources, howl}).
+   */
+  setPlaylist: function (songs) {
+    var self = this;
+
+    // Unload whatever was loaded from the old playlist.
+    self.cancelNext();
+    self.playlist.forEach(function (song) {
+      self.unloadTrack(song);
+    });
+    self.loaded = [];
+    progress.style.width = "0%";
+    self.drawBuffered(null);
+    self.setStalled(false);
+    playBtn.style.display = "block";
+    pauseBtn.style.display = "none";
+    loading.style.display = "none";
+
+    self.playlist = songs;
+    self.indexById = {};
+    songs.forEach(self.identify.bind(self));
+    self.index = 0;
+    self.resumeAt = null;
+    self.buildOrder(0);
+
+    // Display the title of the first track.
+    track.textContent = songs.length ? "1. " + songs[0].title : "";
+
+    // Setup the playlist display.
+    self.cursor = -1;
+    self.filterPlaylist(self.query);
+    self.markCurrent();
+
+    self.saveQueue();
+    self.saveState();
+  },
+
+  /**
+   * Add tracks to the end of the playlist, keeping the current track and play order.
+   * @param  {Array} songs Array of tracks ({title, sources, howl}).
+   */
+  appendPlaylist: function (songs) {
+    var self = this;
+
+    songs.forEach(function (song) {
+      var index = self.playlist.push(song) - 1;
+      self.identify(song, index);
+
+      // New tracks join the part of the order that hasn't played yet.
+      var pos = self.order.length;
+      if (self.shuffle) {
+        pos = self.orderPos + 1;
+        pos += Math.floor(Math.random() * (self.order.length - pos + 1));
+      }
+      self.order.splice(pos, 0, song.id);
+    });
+    self.filterPlaylist(self.query);
+
+    self.saveQueue();
+    self.saveState();
+  },
+
+  /**
+   * Give a track its ID (unless it has one of its own) and index it by that ID.
+   * @param  {Object} song  Track from the playlist.
+   * @param  {Number} index Its index in the playlist.
+   */
+  identify: function (song, index) {
+    var self = this;
+
+    // Keep new IDs clear of the ones tracks came with (e.g. from a saved queue).
+    if (typeof song.id === "number") {
+      self.lastTrackId = Math.max(self.lastTrackId, song.id);
+    }
+    if (
+      song.id === undefined ||
+      song.id === null ||
+      self.trackIndex(song.id) >= 0
+    ) {
+      do {
+        song.id = ++self.lastTrackId;
+      } while (self.trackIndex(song.id) >= 0);
+    }
+    self.indexById[song.id] = index;
+  },
+
+  /**
+   * Find a track in the playlist by its ID.
+   * @param  {Number|String} id Track ID.
+   * @return {Number}           Index in the playlist, or -1 if it isn't there.
+   */
+  trackIndex: function (id) {
+    var index = this.indexById[id];
+    return typeof index === "number" ? index : -1;
+  },
+
+  /**
+   * Fill in a playlist row for a track (see ListView).
+   * @param  {Element} row   Row element, new or reused.
+   * @param  {Number}  index Index of the track in the playlist.
+   */
+  renderRow: function (row, index) {
+    var self = this;
+    var song = self.playlist[index];
+    var current = index === self.index;
+    var picked = index === self.cursor;
+
+    row.id = "song-" + song.id;
+    row.setAttribute("data-id", song.id);
+    row.setAttribute("role", "option");
+    row.setAttribute("aria-selected", picked ? "true" : "false");
+    if (current) {
+      row.setAttribute("aria-current", "true");
+    } else {
+      row.removeAttribute("aria-current");
+    }
+    row.classList.toggle("current", current);
+    row.classList.toggle("cursor", picked);
+    row.classList.toggle("unavailable", !!song.unavailable);
+    row.title = song.unavailable ? "Unavailable: select to try again" : "";
+    row.textContent = song.title;
+  },
+
+  /**
+   * Import an M3U/M3U8, PLS or XSPF playlist file (a .json file is loaded as a manifest).
+   * @param  {File}    file   Playlist file, e.g. from drag and drop.
+   * @param  {Boolean} append True to add to the current playlist instead of replacing it.
+   * @return {Promise}       Resolves once the playlist has been updated (or the import failed).
+   */
+  importPlaylist: function (file, append) {
+    var self = this;
+
+    return file
+      .text()
+      .then(function (text) {
+        var format = PlaylistFormats.detect(file.name, text);
+
+        if (!format) {
+          if (/\.json$/i.test(file.name) && !append) {
+            return self.loadManifest(file);
+          }
+
+          throw new Error("Unrecognised playlist format.");
+        }
+
+        // Run the entries through the same validation as a manifest.
+        var manifest = Player.parseManifest({
+          version: Player.MANIFEST_VERSION,
+          tracks: PlaylistFormats[format].parse(text),
+        });
+        manifest.errors.forEach(function (err) {
+          console.warn(file.name + ": " + err);
+        });
+
+        if (append) {
+          self.appendPlaylist(manifest.tracks);
+        } else {
+          self.setPlaylist(manifest.tracks);
+        }
+      })
+      .catch(function (err) {
+        console.error("Unable to import playlist " + file.name + ".", err);
+      });
+  },
+
+  /**
+   * Download the current playlist as an M3U8, PLS or XSPF file.
+   * @param  {String} format 'm3u', 'pls' or 'xspf'.
+   */
+  exportPlaylist: function (format) {
+    var self = this;
+    var writer = PlaylistFormats[format];
+
+    // Other players need absolute URLs, so resolve the sources first.
+    var tracks = self.playlist.map(function (song) {
+      return {
+        title: song.title,
+        artist: song.artist,
+        album: song.album,
+        duration: song.duration,
+        artwork: song.artwork,
+        sources: self.resolver.urls(song, self.baseUrl).map(function (source) {
+          return source.url;
+        }),
+      };
+    });
+
+    self.download(
+      writer.serialize(tracks),
+      writer.mime,
+      "playlist." + (format === "m3u" ? "m3u8" : format),
+    );
+  },
+
+  /**
+   * Save some text as a file.
+   * @param  {String} text Contents.
+   * @param  {String} type MIME type.
+   * @param  {String} name File name.
+   */
+  download: function (text, type, name) {
+    var blob = new Blob([text], { type: type });
+    var link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function () {
+      URL.revokeObjectURL(link.href);
+    }, 0);
+  },
+
+  /**
+   * Load the playlist from a JSON manifest (see Player.parseManifest for the schema).
+   * Invalid tracks are reported and skipped rather than breaking the whole load.
+   * @param  {String|File} source URL of the manifest, or a local File/Blob.
+   * @return {Promise}             Resolves once the playlist has been replaced (or the load failed).
+   */
+  loadManifest: function (source) {
+    var self = this;
+    var isUrl = typeof source === "string";
+    var request;
+
+    if (isUrl) {
+      request = fetch(source).then(function (res) {
+        if (!res.ok) {
+          throw new Error(
+            "Failed loading manifest with status: " + res.status + ".",
+          );
+        }
+
+        return res.text();
+      });
+    } else {
+      request = source.text();
+    }
+
+    return request
+      .then(function (text) {
+        var manifest = Player.parseManifest(JSON.parse(text));
+
+        // Report the entries we had to skip.
+        self.manifestErrors = manifest.errors;
+        manifest.errors.forEach(function (err) {
+          console.warn("Playlist manifest: " + err);
+        });
+
+        // Relative sources are relative to the manifest's base URL, which is itself relative to the manifest.
+        self.baseUrl = new URL(
+          manifest.baseUrl || "./",
+          isUrl ? new URL(source, location.href) : location.href,
+        ).href;
+
+        self.setPlaylist(manifest.tracks);
+      })
+      .catch(function (err) {
+        console.error("Unable to load playlist manifest.", err);
+        track.textContent = "Unable to load playlist";
+      });
+  },
+
   /**
    * Play a song in the playlist.
    * @param  {Number} index Index of the song in the playlist (leave empty to play the first or current).
    */
-  play: function (index) {
+  play: function (index) {
+    var self = this;
+    var sound;
+
+    index = typeof index === "number" ? index : self.index;
+    var data = self.playlist[index];
+
+    // Only the track being handed over to is started on the audio clock.
+    var startAt = self.startAt;
+    self.startAt = 0;
+
+    // Nothing to play until the playlist has loaded.
+    if (!data) {
+      return;
+    }
+
+    // Playing something without answering the resume prompt means starting over.
+    if (self.savedState) {
+      self.startOver();
+    }
+
+    // Picking a track that failed earlier gives it another go.
+    if (data.unavailable) {
+      data.unavailable = false;
+      data.retries = 0;
+      self.markCurrent();
+    }
+
+    // Signed sources can expire, so resolve them again before reusing an idle Howl.
+    if (data.howl && !data.howl.playing() && self.resolver.expired(data)) {
+      self.unloadTrack(data);
+    }
+
+    // If we haven't loaded this track yet, resolve its sources and setup a new Howl.
+    // Resolving may be asynchronous (e.g. signing URLs), so show the loader in the meantime.
+    if (!data.howl) {
+      self.index = index;
+      self.markCurrent();
+      track.textContent = index + 1 + ". " + data.title;
+      self.updateMetadata(data);
+      loading.style.display = "block";
+      playBtn.style.display = "none";
+      pauseBtn.style.display = "none";
+
+      self.resolver.resolve(data, self.baseUrl, function (err, sources) {
+        if (err) {
+          console.error(
+            "Unable to resolve sources for " + data.title + ".",
+            err,
+          );
+          self.logError(data, null, "resolve", err);
+          self.showError("Unable to get " + data.title + ".");
+          loading.style.display = "none";
+          playBtn.style.display = "block";
+          return;
+        }
+
+        data.howl = data.howl || self.createHowl(sources, data);
+        self.touch(index);
+
+        // Only start it if the user hasn't moved on to another track meanwhile.
+        if (self.index === index) {
+          self.play(index);
+        }
+      });
+
+      return;
+    }
+
+    sound = data.howl;
+
+    // Begin playing the sound (faded in when crossfading, or on the audio clock for a gapless handover),
+    // picking up where we left off in a resumed session.
+    var fadeIn = self.fadeIn;
+    self.fadeIn = 0;
+    if (fadeIn) {
+      sound.volume(0);
+    }
+    if (startAt) {
+      sound.playAt(startAt);
+    } else {
+      sound.play();
+    }
+    if (fadeIn) {
+      self.fade(sound, 0, 1, fadeIn * 1000);
+    }
+    if (self.resumeAt && self.resumeAt.id === data.id) {
+      sound.seek(self.resumeAt.seek);
+    }
+    self.resumeAt = null;
+
+    // Update the track display (and the lock screen / OS media controls).
+    track.textContent = index + 1 + ". " + data.title;
+    self.updateMetadata(data);
+
+    // Show the pause button.
+    if (sound.state() === "loaded") {
+      playBtn.style.display = "none";
+      pauseBtn.style.display = "block";
+    } else {
+      loading.style.display = "block";
+      playBtn.style.display = "none";
+      pauseBtn.style.display = "none";
+    }
+
+    // Keep track of the index we are currently playing.
+    self.index = index;
+    self.markCurrent();
+    self.touch(index);
+    self.evict();
+    self.saveState();
+  },
+
+  /**
+   * Setup a new Howl for a track.
+   * @param  {Array}  sources Resolved sources ({url, format}) in order of preference.
+   * @param  {Object} data    Track from the playlist.
+   * @return {Howl}
+   */
+  createHowl: function (sources, data) {
+    var self = this;
+    var sound = new Howl({
+      src: sources.map(function (source) {
+        return source.url;
+      }),
+      format: sources.map(function (source) {
+        return source.format;
+      }),
+      html5: self.options.html5, // HTML5 lets the audio stream in (best for large files), Web Audio allows gapless playback.
+      stream: self.options.stream,
+      crossOrigin: self.options.crossOrigin,
+      onplay: function () {
+        // Display the duration.
+        duration.innerHTML = self.formatTime(Math.round(sound.duration()));
+
+        // Start upating the progress of the track.
+        requestAnimationFrame(self.step.bind(self));
+
+        // Show how much of it has downloaded (it may have been preloaded).
+        self.drawBuffered(sound);
+
+        // Let the wave listen in on HTML5 Audio too.
+        self.analyser.attach(sound);
+
+        // Get the next track ready before this one ends.
+        self.scheduleNext();
+
+        // Bring the visualizer to life.
+        self.setVisualizerPlaying(true);
+        pauseBtn.style.display = "block";
+
+        if ("mediaSession" in navigator) {
+          navigator.mediaSession.playbackState = "playing";
+        }
+      },
+      ondecode: function () {
+        // A streamed track only knows its exact duration once it has all decoded.
+        if (self.isCurrent(sound)) {
+          duration.innerHTML = self.formatTime(Math.round(sound.duration()));
+        }
+      },
+      onload: function () {
+        loading.style.display = "none";
+        if (self.isCurrent(sound)) {
+          self.drawBuffered(sound);
+        }
+      },
+      onprogress: function (id, fraction) {
+        if (self.isCurrent(sound)) {
+          self.drawBuffered(sound, fraction);
+        }
+      },
+      onbuffering: function (id, waiting) {
+        if (self.isCurrent(sound)) {
+          self.setStalled(waiting);
+        }
+      },
+      onend: function () {
+        // Ignore the end of a track we already handed over from, even if it has been picked again since.
+        if (sound === self.handedOver) {
+          self.handedOver = null;
+          return;
+        }
+        if (!self.isCurrent(sound)) {
+          return;
+        }
+
+        // Let the visualizer settle.
+        self.setVisualizerPlaying(false);
+        self.skip("next", true);
+      },
+      onpause: function () {
+        if (!self.isCurrent(sound)) {
+          return;
+        }
+
+        self.cancelNext();
+
+        // Let the visualizer settle.
+        self.setVisualizerPlaying(false);
+        self.setStalled(false);
+
+        if ("mediaSession" in navigator) {
+          navigator.mediaSession.playbackState = "paused";
+        }
+      },
+      onstop: function () {
+        // A track we crossfaded away from has finished fading out.
+        if (!self.isCurrent(sound)) {
+          return;
+        }
+
+        self.cancelNext();
+
+        // Let the visualizer settle.
+        self.setVisualizerPlaying(false);
+        self.setStalled(false);
+
+        if ("mediaSession" in navigator) {
+          navigator.mediaSession.playbackState = "paused";
+        }
+      },
+      onseek: function () {
+        // The end of the track moved, so move the preload and handover with it.
+        if (self.isCurrent(sound) && sound.playing()) {
+          self.scheduleNext();
+        }
+      },
+      onloaderror: function (id, err) {
+        if (data.howl === sound) {
+          self.recover(data, sources, err);
+        }
+      },
+      onplayerror: function (id, err) {
+        if (!self.isCurrent(sound)) {
+          return;
+        }
+
+        // Most often the browser wants a tap before it plays any audio, so offer the play button for one.
+        self.logError(data, sound._src, "play", err);
+        self.showError(
+          "Unable to start " + data.title + ". Press play to try again.",
+        );
+        loading.style.display = "none";
+        pauseBtn.style.display = "none";
+        playBtn.style.display = "block";
+      },
+    });
+
+    return sound;
+  },
+
+  /**
+   * Recover from a track failing to load: retry the same source with backoff, then fall back to the
+   * next source, and once none are left mark the track unavailable and move on.
+   * @param  {Object} data    Track from the playlist.
+   * @param  {Array}  sources Sources the failed Howl was made from.
+   * @param  {*}      err     Error from Howler (a message or MediaError code).
+   */
+  recover: function (data, sources, err) {
+    var self = this;
+    var failed = data.howl._src;
+    var index = self.trackIndex(data.id);
+    var current = self.isCurrent(data.howl);
+
+    self.logError(data, failed, "load", err);
+    self.unloadTrack(data);
+    data.retries = (data.retries || 0) + 1;
+
+    // Pick up again if the track is still in the playlist (and play it if it's still the one we want).
+    var retry = function (remaining) {
+      if (self.playlist[index] !== data || data.howl) {
+        return;
+      }
+
+      data.howl = self.createHowl(remaining, data);
+      if (self.index === index) {
+        self.play(index);
+      }
+    };
+
+    if (data.retries <= Player.RETRIES) {
+      setTimeout(
+        function () {
+          retry(sources);
+        },
+        Player.RETRY_DELAY * Math.pow(2, data.retries - 1),
+      );
+      return;
+    }
+
+    var remaining = sources.filter(function (source) {
+      return source.url !== failed;
+    });
+    data.retries = 0;
+
+    if (remaining.length && remaining.length < sources.length) {
+      retry(remaining);
+      return;
+    }
+
+    // Nothing left to try. Only the track being played is worth telling the user about
+    // (and skipping), a preloaded one just shows as unavailable in the playlist.
+    data.unavailable = true;
+    self.markCurrent();
+    if (!current) {
+      console.warn("Unable to load " + data.title + ".", err);
+      return;
+    }
+
+    self.showError("Unable to play " + data.title + ". Skipping it.");
+    loading.style.display = "none";
+    pauseBtn.style.display = "none";
+    playBtn.style.display = "block";
+    self.skip("next", self.repeat !== "one");
+  },
+
+  /**
+   * Unload a track's Howl (if it has one) to free its memory.
+   * @param  {Object} data Track from the playlist.
+   */
+  unloadTrack: function (data) {
+    var self = this;
+
+    if (data.howl) {
+      self.analyser.detach(data.howl);
+      data.howl.unload();
+      data.howl = null;
+    }
+  },
+
+  /**
+   * Check if a Howl belongs to the current track.
+   * @param  {Howl}    sound Howl to check.
+   * @return {Boolean}
+   */
+  isCurrent: function (sound) {
+    var data = this.playlist[this.index];
+    return !!data && data.howl === sound;
+  },
+
+  /**
+   * Work out which track will play after the current one, without moving through the play order.
+   * @return {Number} Index of the upcoming track, or -1 if it isn't known yet (or playback will stop).
+   */
+  upcomingIndex: function () {
+    var self = this;
+
+    if (self.repeat === "one") {
+      return self.index;
+    }
+    if (self.orderPos + 1 < self.order.length) {
+      return self.trackIndex(self.order[self.orderPos + 1]);
+    }
+
+    // A new shuffled cycle hasn't been drawn yet, so we can't know what comes next.
+    return self.repeat === "off" || self.shuffle ? -1 : 0;
+  },
+
+  /**
+   * Time the preload of the upcoming track, and with Web Audio the handover to it,
+   * against the remaining time of the current track.
+   */
+  scheduleNext: function () {
+    var self = this;
+    var data = self.playlist[self.index];
+    var sound = data && data.howl;
+
+    self.cancelNext();
+    if (!sound || !sound.playing()) {
+      return;
+    }
+
+    var remaining = (sound.duration() - (sound.seek() || 0)) / sound.rate();
+    var next = self.upcomingIndex();
+    if (next < 0 || next === self.index) {
+      return;
+    }
+
+    // When crossfading, the next track starts that much earlier (and must have loaded by then).
+    var fade = Math.min(
+      self.crossfadeLength(data, self.playlist[next]),
+      remaining,
+    );
+
+    self.nextTimer = setTimeout(
+      function () {
+        self.nextTimer = null;
+        self.preload(next);
+      },
+      Math.max(0, remaining - Math.max(self.options.preload, fade * 2)) * 1000,
+    );
+
+    if (fade) {
+      self.handoverTimer = setTimeout(
+        function () {
+          self.handoverTimer = null;
+          if (self.isCurrent(sound)) {
+            self.skip("next", true);
+          }
+        },
+        (remaining - fade) * 1000,
+      );
+    } else if (Howler.usingWebAudio && !self.options.html5) {
+      // Web Audio can start the next track on the audio clock right as this one ends, without a gap.
+      // Hand over a little early so the timer running late doesn't matter.
+      self.handoverTimer = setTimeout(
+        function () {
+          self.handoverTimer = null;
+
+          var upcoming = self.playlist[next];
+          if (
+            self.isCurrent(sound) &&
+            sound.playing() &&
+            upcoming.howl &&
+            upcoming.howl !== sound &&
+            upcoming.howl.state() === "loaded"
+          ) {
+            self.startAt =
+              Howler.ctx.currentTime +
+              (sound.duration() - (sound.seek() || 0)) / sound.rate();
+            self.skip("next", true);
+          }
+        },
+        Math.max(0, remaining - Player.HANDOVER_LEAD) * 1000,
+      );
+    }
+  },
+
+  /**
+   * Cancel a scheduled preload and handover.
+   */
+  cancelNext: function () {
+    var self = this;
+
+    clearTimeout(self.nextTimer);
+    clearTimeout(self.handoverTimer);
+    self.nextTimer = null;
+    self.handoverTimer = null;
+  },
+
+  /**
+   * How long to crossfade between two tracks. Crossfading is off for tracks tagged 'continuous'
+   * (albums meant to play without a break), where we cut over gaplessly instead.
+   * @param  {Object} from Outgoing track.
+   * @param  {Object} to   Incoming track.
+   * @return {Number}      Crossfade length in seconds (0 for none).
+   */
+  crossfadeLength: function (from, to) {
+    var continuous = function (song) {
+      return !!song && (song.tags || []).indexOf("continuous") >= 0;
+    };
+
+    if (from === to || continuous(from) || continuous(to)) {
+      return 0;
+    }
+
+    return this.options.crossfade;
+  },
+
+  /**
+   * Fade the volume of a Howl using the configured curve.
+   * Equal-power fades are built from short linear Howl.fade segments along a sine/cosine curve.
+   * @param  {Howl}     sound Howl to fade.
+   * @param  {Number}   from  Volume to fade from (0.0 to 1.0).
+   * @param  {Number}   to    Volume to fade to (0.0 to 1.0).
+   * @param  {Number}   len   Length of the fade in milliseconds.
+   * @param  {Function} done  Optional callback once the fade has finished.
+   */
+  fade: function (sound, from, to, len, done) {
+    var self = this;
+    var steps = self.options.crossfadeCurve === "linear" ? 1 : 10;
+    var step = 0;
+
+    // Only one fade per Howl: a new one replaces whatever was running.
+    self.fades = self.fades.filter(function (job) {
+      job.cancelled = job.cancelled || job.sound === sound;
+      return !job.cancelled;
+    });
+    var job = { sound: sound, cancelled: false };
+    self.fades.push(job);
+
+    var curve = function (t) {
+      if (steps === 1) {
+        return from + (to - from) * t;
+      }
+
+      return from > to
+        ? to + (from - to) * Math.cos((t * Math.PI) / 2)
+        : from + (to - from) * Math.sin((t * Math.PI) / 2);
+    };
+
+    var next = function () {
+      if (job.cancelled) {
+        return;
+      }
+
+      if (step === steps) {
+        self.fades.splice(self.fades.indexOf(job), 1);
+        if (done) {
+          done();
+        }
+        return;
+      }
+
+      var start = curve(step / steps);
+      step += 1;
+      sound.fade(start, curve(step / steps), len / steps);
+
+      // Listen after starting the fade, so we don't pick up the event from the fade it replaced.
+      sound.once("fade", next);
+    };
+
+    next();
+  },
+
+  /**
+   * Fade out the outgoing track of a crossfade, then stop it.
+   * @param  {Howl}   sound Howl to fade out.
+   * @param  {Number} secs  Length of the fade in seconds.
+   */
+  fadeOut: function (sound, secs) {
+    var self = this;
+
+    self.fadingOut.push(sound);
+    self.fade(sound, sound.volume(), 0, secs * 1000, function () {
+      self.stopFadingOut(sound);
+    });
+  },
+
+  /**
+   * Stop tracks that are fading out of a crossfade and restore their volume for next time.
+   * @param  {Howl} sound Only stop this Howl (leave empty to stop all).
+   */
+  stopFadingOut: function (sound) {
+    var self = this;
+
+    self.fadingOut = self.fadingOut.filter(function (fading) {
+      if (sound && fading !== sound) {
+        return true;
+      }
+
+      self.fades.forEach(function (job) {
+        job.cancelled = job.cancelled || job.sound === fading;
+      });
+      fading.stop();
+      fading.volume(1);
+
+      return false;
+    });
+  },
+
+  /**
+   * Start loading a track ahead of time so it can start without a network stall.
+   * @param  {Number} index Index of the track in the playlist.
+   */
+  preload: function (index) {
+    var self = this;
+    var data = self.playlist[index];
+
+    // Tracks that failed to load are skipped, so there's no need to get them ready.
+    if (!data || data.howl || data.unavailable) {
+      return;
+    }
+
+    self.resolver.resolve(data, self.baseUrl, function (err, sources) {
+      if (!err && !data.howl && self.playlist[index] === data) {
+        data.howl = self.createHowl(sources, data);
+        self.loaded.splice(1, 0, index);
+        self.evict();
+      }
+    });
+  },
+
+  /**
+   * Mark a track as the most recently played one.
+   * @param  {Number} index Index of the track in the playlist.
+   */
+  touch: function (index) {
+    var self = this;
+    var pos = self.loaded.indexOf(index);
+
+    if (pos >= 0) {
+      self.loaded.splice(pos, 1);
+    }
+    self.loaded.unshift(index);
+  },
+
+  /**
+   * Unload the least recently played Howls so memory doesn't grow as we play through the playlist.
+   * The current and upcoming tracks are always kept.
+   */
+  evict: function () {
+    var self = this;
+    var keep = [self.index, self.upcomingIndex()];
+
+    for (var i = self.loaded.length - 1; i >= 0; i--) {
+      if (self.loaded.length <= self.options.maxLoaded) {
+        break;
+      }
+
+      var index = self.loaded[i];
+      if (keep.indexOf(index) < 0) {
+        if (self.playlist[index]) {
+          self.unloadTrack(self.playlist[index]);
+        }
+        self.loaded.splice(i, 1);
+      }
+    }
+  },
+
+  /**
+   * Pause the currently playing track.
+   */
+  pause: function () {
+    var self = this;
+
+    // Get the Howl we want to manipulate.
+    var data = self.playlist[self.index];
+    var sound = data && data.howl;
+
+    // Puase the sound, and cut short anything still fading out.
+    if (sound) {
+      sound.pause();
+    }
+    self.stopFadingOut();
+
+    // Show the play button.
+    playBtn.style.display = "block";
+    pauseBtn.style.display = "none";
+
+    self.saveState();
+  },
+
+  /**
+   * Skip to the next or previous track.
+   * @param  {String}  direction 'next' or 'prev'.
+   * @param  {Boolean} auto      True when called because the current track ended.
+   */
+  skip: function (direction, auto) {
+    var self = this;
+
+    // Nothing to skip to until the playlist has loaded.
+    if (!self.playlist.length) {
+      return;
+    }
+
+    // Get the next track based on the play order, passing over the ones that failed to load.
+    var index = self.nextIndex(direction, auto);
+    for (
+      var tries = 0;
+      index >= 0 &&
+      self.playlist[index].unavailable &&
+      tries < self.playlist.length;
+      tries++
+    ) {
+      index = self.nextIndex(direction, auto);
+    }
+    if (index >= 0 && self.playlist[index].unavailable) {
+      index = -1;
+    }
+
+    // With repeat off we stop once the whole order has been played.
+    if (index < 0) {
+      self.startAt = 0;
+      self.buildOrder(self.shuffle ? null : 0);
+      self.index = self.trackIndex(self.order[self.orderPos]);
+      self.markCurrent();
+      track.textContent =
+        self.index + 1 + ". " + self.playlist[self.index].title;
+      progress.style.width = "0%";
+      self.drawBuffered(null);
+      self.setStalled(false);
+      playBtn.style.display = "block";
+      pauseBtn.style.display = "none";
+      self.saveState();
+      return;
+    }
+
+    self.skipTo(index);
+  },
+
+  /**
+   * Work out which track comes next in the play order and move our position in it.
+   * @param  {String}  direction 'next' or 'prev'.
+   * @param  {Boolean} auto      True when the current track ended (honours repeat 'one' and 'off').
+   * @return {Number}            Index of the track to play, or -1 to stop.
+   */
+  nextIndex: function (direction, auto) {
+    var self = this;
+
+    // Repeat one keeps playing the same track until the user skips.
+    if (auto && self.repeat === "one") {
+      return self.index;
+    }
+
+    // Step back through the order. In shuffle mode this is the shuffled history,
+    // so at the start of a cycle we just restart the first track.
+    if (direction === "prev") {
+      if (self.orderPos > 0) {
+        self.orderPos -= 1;
+      } else if (!self.shuffle) {
+        self.orderPos = self.order.length - 1;
+      }
+
+      return self.trackIndex(self.order[self.orderPos]);
+    }
+
+    if (self.orderPos + 1 < self.order.length) {
+      self.orderPos += 1;
+      return self.trackIndex(self.order[self.orderPos]);
+    }
+
+    // We reached the end of the cycle.
+    if (auto && self.repeat === "off") {
+      return -1;
+    }
+
+    // Start a new cycle (reshuffled), without repeating the track that just played.
+    self.buildOrder(self.shuffle ? null : 0, self.index);
+
+    return self.trackIndex(self.order[self.orderPos]);
+  },
+
+  /**
+   * Build the play order for a new cycle through the playlist.
+   * Shuffle mode gets a fresh random permutation, otherwise it follows the playlist.
+   * @param  {Number} first Index to start the cycle from (null for a random start).
+   * @param  {Number} avoid Index that should not come first (the track that just played).
+   */
+  buildOrder: function (first, avoid) {
+    var self = this;
+    var order = self.playlist.map(function (song) {
+      return song.id;
+    });
+
+    if (!order.length) {
+      self.order = order;
+      self.orderPos = 0;
+      return;
+    }
+
+    if (!self.shuffle) {
+      self.order = order;
+      self.orderPos = typeof first === "number" ? first : 0;
+      return;
+    }
+
+    // Fisher-Yates shuffle.
+    for (var i = order.length - 1; i > 0; i--) {
+      var j = Math.floor(Math.random() * (i + 1));
+      var tmp = order[i];
+      order[i] = order[j];
+      order[j] = tmp;
+    }
+
+    // Move the requested track to the front, or the avoided one away from it.
+    if (typeof first === "number") {
+      var id = self.playlist[first].id;
+      order.splice(order.indexOf(id), 1);
+      order.unshift(id);
+    } else if (order.length > 1 && self.trackIndex(order[0]) === avoid) {
+      order.push(order.shift());
+    }
+
+    self.order = order;
+    self.orderPos = 0;
+  },
+
+  /**
+   * Keep the play order in step when a track is picked directly (e.g. from the playlist).
+   * @param  {Number} index Index in the playlist.
+   */
+  syncOrder: function (index) {
+    var self = this;
+    var id = self.playlist[index].id;
+
+    if (self.order[self.orderPos] === id) {
+      return;
+    }
+
+    if (!self.shuffle) {
+      self.orderPos = index;
+      return;
+    }
+
+    // Move the picked track to just after the current one so the rest of the cycle still plays once.
+    var pos = self.order.indexOf(id);
+    self.order.splice(pos, 1);
+    if (pos < self.orderPos) {
+      self.orderPos -= 1;
+    }
+    self.orderPos += 1;
+    self.order.splice(self.orderPos, 0, id);
+  },
+
+  /**
+   * Toggle shuffle mode on/off, starting a new order from the current track.
+   */
+  toggleShuffle: function () {
+    var self = this;
+
+    // Nothing to shuffle until the playlist has loaded.
+    if (!self.playlist.length) {
+      return;
+    }
+
+    self.shuffle = !self.shuffle;
+    self.buildOrder(self.index);
+
+    shuffleBtn.className = self.shuffle ? "btn active" : "btn";
+    self.saveState();
+  },
+
+  /**
+   * Cycle the repeat mode: all -> one -> off (stop at the end) -> all.
+   */
+  cycleRepeat: function () {
+    var self = this;
+    var modes = ["all", "one", "off"];
+
+    self.repeat = modes[(modes.indexOf(self.repeat) + 1) % modes.length];
+
+    repeatBtn.className = "btn repeat-" + self.repeat;
+    self.saveState();
+  },
+
+  /**
+   * Skip to a specific track based on its playlist index.
+   * @param  {Number} index Index in the playlist.
+   */
+  skipTo: function (index) {
+    var self = this;
+
+    // A gapless handover needs the new track ready to start on the audio clock (playAt plays anything
+    // else straight away), otherwise the current track is stopped as usual.
+    var next = self.playlist[index];
+    if (
+      self.startAt &&
+      !(
+        index !== self.index &&
+        next.howl &&
+        next.howl._webAudio &&
+        next.howl.state() === "loaded"
+      )
+    ) {
+      self.startAt = 0;
+    }
+
+    // Stop the current track, or fade it out while the new one fades in.
+    var current = self.playlist[self.index];
+    self.fadeIn = 0;
+    if (current && current.howl) {
+      var fade =
+        current.howl.playing() && index !== self.index
+          ? self.crossfadeLength(current, self.playlist[index])
+          : 0;
+
+      if (fade) {
+        self.fadeOut(current.howl, fade);
+        self.fadeIn = fade;
+      } else if (current.howl.state() !== "loaded" && index !== self.index) {
+        // Moving on before it has even loaded, so stop downloading it.
+        self.unloadTrack(current);
+      } else if (!self.startAt) {
+        current.howl.stop();
+      } else {
+        // It plays out, and the new track starts on the audio clock as it ends.
+        self.handedOver = current.howl;
+      }
+    }
+
+    // Reset progress.
+    progress.style.width = "0%";
+    self.drawBuffered(null);
+    self.setStalled(false);
+
+    // Keep our place in the play order, then play the new track.
+    self.syncOrder(index);
+    self.play(index);
+  },
+
+  /**
+   * Set the volume (affecting all Howls) and update the volume slider display.
+   * @param  {Number} val Slider level between 0 and 1, on a perceptual curve (see VolumeControl.gain).
+   */
+  volume: function (val) {
+    this.volumeControl.set(val);
+  },
+
+  /**
+   * Mute or unmute all audio.
+   * @param  {Boolean} muted True to mute, false to unmute (leave empty to toggle).
+   */
+  mute: function (muted) {
+    this.volumeControl.mute(muted);
+  },
+
+  /**
+   * Seek to a new position in the current track, whether it is playing or paused.
+   * @param  {Number} per Percentage through the song to skip.
+   */
+  seek: function (per) {
+    var self = this;
+
+    // Get the Howl we want to manipulate.
+    var data = self.playlist[self.index];
+    var sound = data && data.howl;
+    if (!sound || !sound.duration()) {
+      return;
+    }
+
+    // Convert the percent into a seek position.
+    sound.seek(sound.duration() * per);
+
+    // The step loop only runs during playback, so show (and remember) the new position ourselves.
+    if (!sound.playing()) {
+      self.step();
+      self.saveState();
+    }
+  },
+
+  /**
+   * Show where the seek bar is being dragged to, without seeking yet.
+   * @param  {Number} per Percentage through the song.
+   */
+  previewSeek: function (per) {
+    var self = this;
+
+    self.scrubbing = true;
+    timer.innerHTML = self.formatTime(Math.round(self.trackLength() * per));
+    progress.style.width = per * 100 + "%";
+  },
+
+  /**
+   * Finish dragging the seek bar.
+   * @param  {Number} per Percentage through the song to seek to, or null to cancel.
+   */
+  endScrub: function (per) {
+    var self = this;
+    var data = self.playlist[self.index];
+    var sound = data && data.howl;
+
+    self.scrubbing = false;
+
+    if (per !== null) {
+      self.seek(per);
+    } else if (sound && !sound.playing()) {
+      self.step();
+    }
+  },
+
+  /**
+   * Length of the current track, from its Howl or failing that the manifest.
+   * @return {Number} Seconds (0 if unknown).
+   */
+  trackLength: function () {
+    var self = this;
+    var data = self.playlist[self.index];
+    if (!data) {
+      return 0;
+    }
+
+    return (data.howl && data.howl.duration()) || data.duration || 0;
+  },
+
+  /**
+   * Keep the seek bar's slider values up to date for assistive technology.
+   * @param  {Number} seek   Current position in seconds.
+   * @param  {Number} length Length of the track in seconds.
+   */
+  updateScrubber: function (seek, length) {
+    var self = this;
+    var now = String(Math.round(seek));
+
+    if (scrubber.getAttribute("aria-valuenow") === now) {
+      return;
+    }
+
+    scrubber.setAttribute("aria-valuemax", Math.round(length) || 0);
+    scrubber.setAttribute("aria-valuenow", now);
+    scrubber.setAttribute(
+      "aria-valuetext",
+      self.formatTime(Math.round(seek)) +
+        " of " +
+        self.formatTime(Math.round(length)),
+    );
+  },
+
+  /**
+   * Seek to a position in seconds in the currently playing track.
+   * @param  {Number} secs Position in seconds.
+   */
+  seekTo: function (secs) {
+    var self = this;
+    var data = self.playlist[self.index];
+    var sound = data && data.howl;
+
+    if (sound && sound.duration()) {
+      self.seek(Math.min(1, Math.max(0, secs / sound.duration())));
+    }
+  },
+
+  /**
+   * Seek forwards or backwards from the current position.
+   * @param  {Number} offset Seconds to move by (negative to go back).
+   */
+  seekBy: function (offset) {
+    var self = this;
+    var data = self.playlist[self.index];
+    var sound = data && data.howl;
+
+    if (sound) {
+      self.seekTo((sound.seek() || 0) + offset);
+    }
+  },
+
+  /**
+   * Play or pause the current track.
+   */
+  togglePlay: function () {
+    var self = this;
+    if (self.isPlaying()) {
+      self.pause();
+    } else {
+      self.play();
+    }
+  },
+
+  /**
+   * Check if the current track is playing.
+   * @return {Boolean}
+   */
+  isPlaying: function () {
+    var data = this.playlist[this.index];
+    return !!(data && data.howl && data.howl.playing());
+  },
+
+  /**
+   * Draw the downloaded parts of a track behind the progress bar.
+   * @param  {Howl}   sound    Howl of the track, or null to clear them.
+   * @param  {Number} fraction (optional) How much has downloaded (0 to 1), for when the duration isn't known yet.
+   */
+  drawBuffered: function (sound, fraction) {
+    var total = sound ? sound.duration() : 0;
+    var ranges = [];
+
+    if (total) {
+      ranges = sound.buffered().map(function (range) {
+        return [range[0] / total, range[1] / total];
+      });
+    } else if (fraction) {
+      // Until it has loaded enough to know how long it is, it can only be a download from the start.
+      ranges = [[0, fraction]];
+    }
+
+    // Reuse the range elements already there.
+    while (buffered.children.length < ranges.length) {
+      buffered.appendChild(document.createElement("div"));
+    }
+    for (var i = 0; i < buffered.children.length; i++) {
+      var el = buffered.children[i];
+      if (i < ranges.length) {
+        el.style.left = Math.min(1, ranges[i][0]) * 100 + "%";
+        el.style.width =
+          Math.max(0, Math.min(1, ranges[i][1]) - ranges[i][0]) * 100 + "%";
+        el.style.display = "block";
+      } else {
+        el.style.display = "none";
+      }
+    }
+  },
+
+  /**
+   * Show or hide the indicator for playback waiting on the network.
+   * @param  {Boolean} stalled
+   */
+  setStalled: function (stalled) {
+    stall.style.display = stalled ? "block" : "none";
+  },
+
+  /**
+   * The step called within requestAnimationFrame to update the playback position.
+   */
+  step: function () {
+    var self = this;
+
+    // Get the Howl we want to manipulate.
+    var data = self.playlist[self.index];
+    var sound = data && data.howl;
+    if (!sound) {
+      return;
+    }
+
+    // Determine our current seek position.
+    var seek = sound.seek() || 0;
+    self.updateScrubber(seek, sound.duration());
+    self.updatePositionState(sound, seek);
+    self.drawVisualizer(sound, seek);
+
+    // Leave the display alone while the seek bar is being dragged.
+    if (!self.scrubbing) {
+      timer.innerHTML = self.formatTime(Math.round(seek));
+      progress.style.width = ((seek / sound.duration()) * 100 || 0) + "%";
+    }
+
+    // Save our position every few seconds in case the page is closed.
+    if (Date.now() - self.savedAt > 5000) {
+      self.saveState();
+    }
+
+    // If the sound is still playing, continue stepping.
+    if (sound.playing()) {
+      requestAnimationFrame(self.step.bind(self));
+    }
+  },
+
+  /**
+   * Draw a frame of the visualizer, with a fresh reading of the music.
+   * @param  {Howl}   sound Current Howl.
+   * @param  {Number} seek  Current position in seconds.
+   */
+  drawVisualizer: function (sound, seek) {
+    var self = this;
+    var reading = self.analyser.sample(sound);
+
+    // A visualizer that follows the analyser would sit flat while the track doesn't reach it (e.g. HTML5
+    // Audio from another origin without CORS), so show the track's waveform in its place.
+    var name = self.visualizerName;
+    if (
+      !reading &&
+      Visualizers.get(name).analyser &&
+      Visualizers.get(Player.FALLBACK_VISUALIZER)
+    ) {
+      name = Player.FALLBACK_VISUALIZER;
+    }
+    if (name !== self.shownVisualizer) {
+      self.showVisualizer(name);
+    }
+
+    reading = reading || {
+      time: null,
+      freq: null,
+      level: null,
+      energy: null,
+    };
+
+    reading.progress = seek / sound.duration() || 0;
+    reading.sound = sound;
+    self.visualizer.draw(reading);
+  },
+
+  /**
+   * Pick the visualizer for the #waveform slot.
+   * @param  {String} name Name of a registered visualizer (see visualizers.js).
+   */
+  setVisualizer: function (name) {
+    var self = this;
+    var def = Visualizers.get(name);
+    if (!def) {
+      name = Visualizers.names()[0];
+      def = Visualizers.get(name);
+    }
+
+    self.visualizerName = name;
+    self.showVisualizer(name);
+
+    visualizerBtn.title = def.label;
+  },
+
+  /**
+   * Switch the visualizer shown in the #waveform slot.
+   * @param  {String} name Name of a registered visualizer.
+   */
+  showVisualizer: function (name) {
+    var self = this;
+    var def = Visualizers.get(name);
+
+    if (self.visualizer) {
+      self.visualizer.stop();
+    }
+
+    // Keep the ones we have made, so switching back is quick.
+    if (!self.visualizers[name]) {
+      self.visualizers[name] = def.create(waveform);
+    }
+    self.visualizer = self.visualizers[name];
+    self.shownVisualizer = name;
+    self.visualizer.resize(window.innerWidth, window.innerHeight * 0.3);
+    self.visualizer.start();
+    self.setVisualizerPlaying(self.isPlaying());
+  },
+
+  /**
+   * Tell the visualizer whether there is music to follow, so it can ease down to rest (and stop
+   * drawing) when there isn't. A hidden page counts as not playing.
+   * @param  {Boolean} playing
+   */
+  setVisualizerPlaying: function (playing) {
+    var self = this;
+
+    if (self.visualizer.setPlaying) {
+      self.visualizer.setPlaying(playing && !document.hidden);
+    }
+  },
+
+  /**
+   * Switch to the next visualizer, and remember it for next time.
+   */
+  cycleVisualizer: function () {
+    var self = this;
+    var names = Visualizers.names();
+
+    self.setVisualizer(
+      names[(names.indexOf(self.visualizerName) + 1) % names.length],
+    );
+
+    try {
+      localStorage.setItem(Player.VISUALIZER_KEY, self.visualizerName);
+    } catch (e) {}
+  },
+
+  /**
+   * Show a track on the lock screen and in the OS media controls.
+   * @param  {Object} data Track from the playlist.
+   */
+  updateMetadata: function (data) {
+    var self = this;
+
+    if (
+      !("mediaSession" in navigator) ||
+      typeof MediaMetadata === "undefined"
+    ) {
+      return;
+    }
+
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: data.title,
+      artist: data.artist || "",
+      album: data.album || "",
+      artwork: data.artwork
+        ? [{ src: new URL(data.artwork, self.baseUrl).href }]
+        : [],
+    });
+  },
+
+  /**
+   * Keep the position shown in the OS media controls in sync with playback.
+   * @param  {Howl}   sound Current Howl.
+   * @param  {Number} seek  Current position in seconds.
+   */
+  updatePositionState: function (sound, seek) {
+    var duration = sound.duration();
+
+    if (
+      !("mediaSession" in navigator) ||
+      !navigator.mediaSession.setPositionState ||
+      !(duration > 0)
+    ) {
+      return;
+    }
+
+    try {
+      navigator.mediaSession.setPositionState({
+        duration: duration,
+        playbackRate: sound.rate(),
+        position: Math.min(seek, duration),
+      });
+    } catch (e) {}
+  },
+
+  /**
+   * Show the "resume where you left off" prompt if there is saved state from a previous visit.
+   */
+  offerResume: function () {
     var self = this;
-    var sound;
+    var state = self.savedState;
 
-    index = typeof index === "number" ? index : self.index;
-    var data = self.playlist[index];
+    if (!state) {
+      return;
+    }
 
-    // If we already loaded this track, use the current one.
-    // Otherwise, setup and load a new Howl.
-    if (data.howl) {
-      sound = data.howl;
-    } else {
-      sound = data.howl = new Howl({
-        src: ["https://colddb.netlify.app/audio/" + data.file + ".mp3"],
-        html5: true, // Force to HTML5 so that the audio can stream in (best for large files).
-        onplay: function () {
-          // Display the duration.
-          duration.innerHTML = self.formatTime(Math.round(sound.duration()));
+    // Forget state we can't make sense of rather than resuming into a broken queue.
+    var queue = Player.parseManifest({
+      version: Player.MANIFEST_VERSION,
+      tracks: state.queue,
+    });
+    var song = queue.tracks.filter(function (song) {
+      return song.id === state.id;
+    })[0];
+    if (queue.errors.length || !song) {
+      self.clearState();
+      return;
+    }
 
-          // Start upating the progress of the track.
-          requestAnimationFrame(self.step.bind(self));
+    resumeText.textContent =
+      song.title + " at " + self.formatTime(Math.round(state.seek || 0));
+    resume.style.display = "block";
+  },
 
-          // Start the wave animation if we have already loaded
-          wave.container.style.display = "block";
-          bar.style.display = "none";
-          pauseBtn.style.display = "block";
-        },
-        onload: function () {
-          // Start the wave animation.
-          wave.container.style.display = "block";
-          bar.style.display = "none";
-          loading.style.display = "none";
-        },
-        onend: function () {
-          // Stop the wave animation.
-          wave.container.style.display = "none";
-          bar.style.display = "block";
-          self.skip("right");
-        },
-        onpause: function () {
-          // Stop the wave animation.
-          wave.container.style.display = "none";
-          bar.style.display = "block";
-        },
-        onstop: function () {
-          // Stop the wave animation.
-          wave.container.style.display = "none";
-          bar.style.display = "block";
-        },
-      });
+  /**
+   * Restore the queue, play order and position saved from the previous visit.
+   */
+  resumeState: function () {
+    var self = this;
+    var state = self.savedState;
+
+    resume.style.display = "none";
+    if (!state) {
+      return;
     }
 
-    // Begin playing the sound.
-    sound.play();
+    self.savedState = null;
+    self.setPlaylist(
+      Player.parseManifest({
+        version: Player.MANIFEST_VERSION,
+        tracks: state.queue,
+      }).tracks,
+    );
 
-    // Update the track display.
-    track.innerHTML = index + 1 + ". " + data.title;
+    self.shuffle = !!state.shuffle;
+    self.repeat = state.repeat || "all";
+    shuffleBtn.className = self.shuffle ? "btn active" : "btn";
+    repeatBtn.className = "btn repeat-" + self.repeat;
 
-    // Show the pause button.
-    if (sound.state() === "loaded") {
-      playBtn.style.display = "none";
-      pauseBtn.style.display = "block";
+    // Use the saved order if it still matches the queue, otherwise start a new one.
+    var index = self.trackIndex(state.id);
+    var order = state.order || [];
+    var valid =
+      order.length === self.playlist.length &&
+      order.every(function (id) {
+        return self.trackIndex(id) >= 0;
+      }) &&
+      order[state.orderPos] === state.id;
+    if (valid) {
+      self.order = order;
+      self.orderPos = state.orderPos;
     } else {
-      loading.style.display = "block";
-      playBtn.style.display = "none";
-      pauseBtn.style.display = "none";
+      self.buildOrder(index);
     }
 
-    // Keep track of the index we are currently playing.
     self.index = index;
+    self.markCurrent();
+    self.resumeAt = { id: state.id, seek: state.seek || 0 };
+    track.textContent = self.index + 1 + ". " + self.playlist[self.index].title;
+
+    self.saveState();
   },
 
   /**
-   * Pause the currently playing track.
+   * Answer the resume prompt with a fresh start: the current queue and position replace the saved ones.
    */
-  pause: function () {
+  startOver: function () {
     var self = this;
 
-    // Get the Howl we want to manipulate.
-    var sound = self.playlist[self.index].howl;
+    self.clearState();
+    self.saveQueue();
+    self.saveState();
+  },
 
-    // Puase the sound.
-    sound.pause();
+  /**
+   * Forget the saved playback state (and dismiss the resume prompt).
+   */
+  clearState: function () {
+    var self = this;
 
-    // Show the play button.
-    playBtn.style.display = "block";
-    pauseBtn.style.display = "none";
+    self.savedState = null;
+    resume.style.display = "none";
+
+    try {
+      localStorage.removeItem(Player.STATE_KEY);
+      localStorage.removeItem(Player.QUEUE_KEY);
+    } catch (e) {}
   },
 
   /**
-   * Skip to the next or previous track.
-   * @param  {String} direction 'next' or 'prev'.
+   * Save the queue to localStorage so it can be resumed after a reload. It only needs saving when it
+   * changes, as it can run to megabytes for a big library.
    */
-  skip: function (direction) {
+  saveQueue: function () {
     var self = this;
 
-    // Get the next track based on the direction of the track.
-    var index = 0;
-    if (direction === "prev") {
-      index = self.index - 1;
-      if (index < 0) {
-        index = self.playlist.length - 1;
-      }
-    } else {
-      index = self.index + 1;
-      if (index >= self.playlist.length) {
-        index = 0;
-      }
+    // Leave the saved queue alone while the resume prompt is up, so we don't lose what can be resumed.
+    if (self.savedState) {
+      return;
     }
 
-    self.skipTo(index);
+    var queue = self.playlist.map(function (song) {
+      return {
+        id: song.id,
+        title: song.title,
+        artist: song.artist || undefined,
+        album: song.album || undefined,
+        sources: song.sources,
+        duration: song.duration || undefined,
+        artwork: song.artwork || undefined,
+        baseUrl: song.baseUrl || undefined,
+        formats: song.formats || undefined,
+        tags: song.tags || undefined,
+      };
+    });
+
+    try {
+      localStorage.setItem(Player.QUEUE_KEY, JSON.stringify(queue));
+    } catch (e) {
+      // Most likely over the storage quota. Don't leave an old queue behind for the position to point into.
+      console.warn("Unable to save the playlist to resume later.", e);
+      self.clearState();
+    }
   },
 
   /**
-   * Skip to a specific track based on its playlist index.
-   * @param  {Number} index Index in the playlist.
+   * Save the playback position and order to localStorage so they can be resumed after a reload
+   * (the queue itself is saved by saveQueue).
    */
-  skipTo: function (index) {
+  saveState: function () {
     var self = this;
 
-    // Stop the current track.
-    if (self.playlist[self.index].howl) {
-      self.playlist[self.index].howl.stop();
+    // Leave the saved state alone while the resume prompt is up, so we don't lose what can be resumed.
+    if (self.savedState) {
+      return;
     }
 
-    // Reset progress.
-    progress.style.width = "0%";
+    var data = self.playlist[self.index];
+    var sound = data && data.howl;
+    var seek = self.resumeAt ? self.resumeAt.seek : 0;
+    if (sound && sound.state() === "loaded") {
+      seek = sound.seek() || 0;
+    }
 
-    // Play the new track.
-    self.play(index);
+    var state = {
+      version: Player.STATE_VERSION,
+      id: data ? data.id : null,
+      seek: seek,
+      shuffle: self.shuffle,
+      repeat: self.repeat,
+      order: self.order,
+      orderPos: self.orderPos,
+    };
+
+    self.savedAt = Date.now();
+
+    try {
+      localStorage.setItem(Player.STATE_KEY, JSON.stringify(state));
+    } catch (e) {}
   },
 
   /**
-   * Set the volume and update the volume slider display.
-   * @param  {Number} val Volume between 0 and 1.
+   * Add a failure to the session's error log.
+   * @param  {Object} data Track from the playlist.
+   * @param  {String} url  Source that failed (null if it never got that far).
+   * @param  {String} type 'resolve', 'load' or 'play'.
+   * @param  {*}      err  Error, message or MediaError code.
    */
-  volume: function (val) {
-    var self = this;
-
-    // Update the global volume (affecting all Howls).
-    Howler.volume(val);
+  logError: function (data, url, type, err) {
+    this.errorLog.push({
+      time: new Date().toISOString(),
+      track: data.title,
+      url: url,
+      type: type,
+      error: err instanceof Error ? err.message : String(err),
+    });
+  },
 
-    // Update the display on the slider.
-    var barWidth = (val * 90) / 100;
-    barFull.style.width = barWidth * 100 + "%";
-    sliderBtn.style.left =
-      window.innerWidth * barWidth + window.innerWidth * 0.05 - 25 + "px";
+  /**
+   * Save the session's error log as a JSON file.
+   */
+  exportErrors: function () {
+    this.download(
+      JSON.stringify(this.errorLog, null, 2),
+      "application/json",
+      "player-errors.json",
+    );
   },
 
   /**
-   * Seek to a new position in the currently playing track.
-   * @param  {Number} per Percentage through the song to skip.
+   * Show an error toast, which goes away by itself after a while.
+   * @param  {String} message
    */
-  seek: function (per) {
+  showError: function (message) {
     var self = this;
 
-    // Get the Howl we want to manipulate.
-    var sound = self.playlist[self.index].howl;
+    toastText.textContent = message;
+    toast.style.display = "block";
+    toast.className = "fadein";
 
-    // Convert the percent into a seek position.
-    if (sound.playing()) {
-      sound.seek(sound.duration() * per);
-    }
+    clearTimeout(self.toastTimer);
+    self.toastTimer = setTimeout(self.hideError.bind(self), 8000);
   },
 
   /**
-   * The step called within requestAnimationFrame to update the playback position.
+   * Dismiss the error toast.
    */
-  step: function () {
+  hideError: function () {
     var self = this;
 
-    // Get the Howl we want to manipulate.
-    var sound = self.playlist[self.index].howl;
-
-    // Determine our current seek position.
-    var seek = sound.seek() || 0;
-    timer.innerHTML = self.formatTime(Math.round(seek));
-    progress.style.width = ((seek / sound.duration()) * 100 || 0) + "%";
-
-    // If the sound is still playing, continue stepping.
-    if (sound.playing()) {
-      requestAnimationFrame(self.step.bind(self));
-    }
+    clearTimeout(self.toastTimer);
+    toast.className = "fadeout";
+    self.toastTimer = setTimeout(function () {
+      toast.style.display = "none";
+    }, 500);
   },
 
   /**
@@ -252,15 +1957,142 @@ Player.prototype = {
    */
   togglePlaylist: function () {
     var self = this;
-    var display = playlist.style.display === "block" ? "none" : "block";
+    var display = self.isPlaylistOpen() ? "none" : "block";
 
     setTimeout(
       function () {
         playlist.style.display = display;
+
+        // Start from the track that's playing, ready to search.
+        if (display === "block") {
+          if (self.query) {
+            self.scrollToRow(self.cursor);
+          } else {
+            self.setCursor(self.index);
+          }
+          search.focus();
+        }
       },
       display === "block" ? 0 : 500,
     );
     playlist.className = display === "block" ? "fadein" : "fadeout";
+    if (display === "none") {
+      search.blur();
+    }
+  },
+
+  /**
+   * Check if the playlist is showing.
+   * @return {Boolean}
+   */
+  isPlaylistOpen: function () {
+    return playlist.style.display === "block";
+  },
+
+  /**
+   * Show only the tracks matching a search (see search.js).
+   * @param  {String} query Search text (empty to show them all).
+   */
+  filterPlaylist: function (query) {
+    var self = this;
+
+    self.query = query || "";
+    self.matches = [];
+    self.matchPos = {};
+    self.playlist.forEach(function (song, index) {
+      if (Search.match(song.title, self.query)) {
+        self.matchPos[index] = self.matches.push(index) - 1;
+      }
+    });
+    noMatches.style.display = self.matches.length ? "none" : "block";
+
+    // Keep the picked row if it still matches, otherwise pick the best match.
+    if (self.matchPosition(self.cursor) === -1) {
+      self.cursor = self.matches.length ? self.matches[0] : -1;
+    }
+
+    list.scrollTop = 0;
+    self.listView.setItems(self.matches);
+    self.setCursor(self.cursor);
+  },
+
+  /**
+   * Highlight the row of the track that is playing (or up next) and bring it into view.
+   */
+  markCurrent: function () {
+    var self = this;
+
+    self.listView.refresh();
+    if (self.isPlaylistOpen() && !self.query) {
+      self.scrollToRow(self.index);
+    }
+  },
+
+  /**
+   * Pick the row that Enter will play, and bring it into view.
+   * @param  {Number} index Index of the track (-1 for none).
+   */
+  setCursor: function (index) {
+    var self = this;
+    var song = self.playlist[index];
+
+    self.cursor = song ? index : -1;
+    self.scrollToRow(self.cursor);
+    self.listView.refresh();
+
+    if (song) {
+      search.setAttribute("aria-activedescendant", "song-" + song.id);
+    } else {
+      search.removeAttribute("aria-activedescendant");
+    }
+  },
+
+  /**
+   * Move the picked row up or down through the search results.
+   * @param  {Number} step 1 for down, -1 for up.
+   */
+  moveCursor: function (step) {
+    var self = this;
+    if (!self.matches.length) {
+      return;
+    }
+
+    var pos = self.matchPosition(self.cursor) + step;
+    pos = Math.min(self.matches.length - 1, Math.max(0, pos));
+
+    self.setCursor(self.matches[pos]);
+  },
+
+  /**
+   * Play the picked row and close the playlist.
+   */
+  chooseCursor: function () {
+    var self = this;
+
+    if (self.cursor >= 0) {
+      self.skipTo(self.cursor);
+      self.togglePlaylist();
+    }
+  },
+
+  /**
+   * Scroll the playlist so a track's row is in the middle (if the search is showing it).
+   * @param  {Number} index Index of the track.
+   */
+  scrollToRow: function (index) {
+    var self = this;
+
+    self.listView.scrollTo(self.matchPosition(index));
+  },
+
+  /**
+   * Find where a track is in the search results.
+   * @param  {Number} index Index of the track.
+   * @return {Number}       Position in the results, or -1 if the search isn't showing it.
+   */
+  matchPosition: function (index) {
+    var pos = this.matchPos[index];
+    return typeof pos === "number" ? pos : -1;
   },
 
   /**
@@ -292,8 +2124,212 @@ Player.prototype = {
   },
 };
 
-// Setup our new audio player class and pass it the playlist.
-var player = new Player([{title:"By Your Side",file:"by_your_side",howl:null},{title:"CONTIGO",file:"contigo",howl:null},{title:"Baby I Need You",file:"baby_i_need_you",howl:null},{title:"一个人想着一个人",file:"一个人想着一个人",howl:null},{title:"秘密",file:"秘密_蓝又时",howl:null},{title:"Gone",file:"gone_rose",howl:null},{title:"手放开",file:"手放开",howl:null},{title:"情人",file:"情人_杜德伟",howl:null},{title:"听见下雨的声音",file:"听见下雨的声音",howl:null},{title:"胆小鬼",file:"胆小鬼_梁咏琪",howl:null},{title:"梦寐以求",file:"梦寐以求",howl:null},{title:"致爱(Your Song)",file:"致爱_your_song",howl:null},{title:"Party",file:"love_is_gone",howl:null},{title:"目及皆是你",file:"目及皆是你",howl:null},{title:"静悄悄",file:"静悄悄",howl:null},{title:"Ringa Linga",file:"ringa_linga",howl:null},{title:"超级冠军",file:"超级冠军",howl:null},{title:"On My Own",file:"on_my_own",howl:null},{title:"明天你好",file:"明天你好_牛奶咖啡",howl:null},{title:"半岛铁盒",file:"半岛铁盒",howl:null},{title:"超级风格",file:"超级风格",howl:null},{title:"鸭梨大",file:"鸭梨大",howl:null},{title:"Anti Hero",file:"anti_hero",howl:null},{title:"Butterfly",file:"butterfly_bts",howl:null},{title:"Empty",file:"empty_winner",howl:null},{title:"How You Like That",file:"how_you_like_that",howl:null},{title:"爱很简单",file:"爱很简单",howl:null},{title:"寂寞烟火",file:"寂寞烟火",howl:null},{title:"像鱼",file:"像鱼",howl:null},{title:"侧脸",file:"侧脸",howl:null},{title:"可爱女人",file:"可爱女人",howl:null},{title:"Mojito",file:"mojito",howl:null},{title:"Workingman's Blues #2",file:"workingmans_blues",howl:null},{title:"风吹一夏",file:"风吹一夏",howl:null},{title:"Fragrance",file:"mahiru_fragrance",howl:null},{title:"Like I Do",file:"like_i_do",howl:null},{title:"心墙",file:"心墙_郭静",howl:null},{title:"Style",file:"style_taylor",howl:null},{title:"失落沙洲",file:"失落沙洲",howl:null},{title:"就是爱你",file:"就是爱你",howl:null},{title:"练习",file:"练习",howl:null},{title:"第一次",file:"第一次",howl:null},{title:"独家记忆",file:"独家记忆",howl:null},{title:"醉清风",file:"醉清风",howl:null},{title:"七里香",file:"七里香",howl:null},{title:"会呼吸的痛",file:"会呼吸的痛",howl:null},{title:"囚鸟",file:"囚鸟",howl:null},{title:"忽然之间",file:"忽然之间",howl:null},{title:"情非得已",file:"情非得已",howl:null},{title:"背叛",file:"背叛",howl:null},{title:"永不失联的爱",file:"永不失联的爱",howl:null},{title:"Letting Go",file:"letting_go",howl:null},{title:"2am (feat. 茉ひる)",file:"am2_feat",howl:null},{title:"慢冷",file:"慢冷",howl:null},{title:"爱我别走",file:"爱我别走",howl:null},{title:"听海",file:"听海",howl:null},{title:"慢慢喜欢你",file:"慢慢喜欢你",howl:null},{title:"恶作剧",file:"恶作剧",howl:null},{title:"哭泣健康指南",file:"哭泣健康指南",howl:null},{title:"唯一",file:"唯一_告五人",howl:null},{title:"浪费",file:"浪费",howl:null},{title:"煎熬",file:"煎熬",howl:null},{title:"你就不要想起我",file:"你就不要想起我",howl:null},{title:"年轮",file:"年轮",howl:null},{title:"以后别做朋友",file:"以后别做朋友",howl:null},{title:"关键词",file:"关键词",howl:null},{title:"不为谁而作的歌",file:"不为谁而作的歌",howl:null},{title:"Good bye",file:"hyolyn_goodbye",howl:null},{title:"爱上未来的你",file:"爱上未来的你",howl:null},{title:"Need Conversation",file:"need_conversation",howl:null},{title:"More Than Words",file:"more_than_words",howl:null},{title:"Dear my X",file:"dear_my_x",howl:null},{title:"天后",file:"天后",howl:null},{title:"exes",file:"exes",howl:null},{title:"greedy",file:"greedy",howl:null},{title:"Better Off",file:"better_off",howl:null},{title:"Alone",file:"marshmello_alone",howl:null},{title:"Work from Home",file:"work_from_home",howl:null},{title:"Don't Start Now",file:"dont_start_now",howl:null},{title:"Can't Feel My Face",file:"cant_feel_my_face",howl:null},{title:"Monsters",file:"monsters",howl:null},{title:"Titanium",file:"titanium",howl:null},{title:"Summer",file:"summer_ch",howl:null},{title:"Better Off Alone",file:"better_off_alone",howl:null},{title:"Better Days",file:"better_days",howl:null},{title:"Green Green Grass",file:"green_green_grass",howl:null},{title:"Havana",file:"havana",howl:null},{title:"Rather Be",file:"rather_be",howl:null},{title:"Baby Don’t Hurt Me",file:"baby_dont_hurt_me",howl:null},{title:"Tik Tok",file:"tiktok",howl:null},{title:"Vampire",file:"vampire",howl:null},{title:"Die Young",file:"die_young",howl:null},{title:"Timber",file:"timber",howl:null},{title:"it is what it is",file:"it_is_what_it_is",howl:null},{title:"Happier By Now",file:"happier_by_now",howl:null},{title:"Levitating",file:"levitating",howl:null},{title:"Down",file:"down_js",howl:null},{title:"Let Me Love You",file:"let_me_love_you",howl:null},{title:"You Don't Know Me",file:"baby_you_dont_know_me",howl:null},{title:"Diff.",file:"diff",howl:null},{title:"离开地球表面",file:"离开地球表面",howl:null},{title:"让我留在你身边",file:"让我留在你身边",howl:null},{title:"怒放",file:"怒放",howl:null},{title:"Two at A Time",file:"two_at_a_time",howl:null},{title:"皮思苦",file:"皮思苦",howl:null},{title:"INYU",file:"inyu",howl:null},{title:"Favourite Jeans",file:"favourite_jeans",howl:null},{title:"万人邂逅",file:"万人邂逅",howl:null},{title:"abcdefu",file:"abcdefu",howl:null},{title:"Someone You Loved",file:"someone_you_loved",howl:null},{title:"I Hate Myself Sometimes",file:"i_hate_myself_sometimes",howl:null},{title:"Sweet but Psycho",file:"sweet_but_psycho",howl:null},{title:"Love U Like That",file:"love_u_like_that",howl:null},{title:"All Fails Down",file:"all_fails_down",howl:null},{title:"Savage Love",file:"savage_love",howl:null},{title:"Price Tag",file:"price_tag",howl:null},{title:"Counting Stars",file:"counting_stars",howl:null},{title:"Love Is Gone",file:"love_is_gone",howl:null},{title:"How To Love",file:"how_to_love_ft",howl:null},{title:"In The Name Of Love",file:"in_the_name_of_love",howl:null},{title:"Ghost",file:"jb_ghost",howl:null},{title:"Why Don't We",file:"why_dont_we",howl:null},{title:"Pretty Girl",file:"pretty_girl",howl:null},{title:"The Middle",file:"the_middle",howl:null},{title:"Hall of Fame",file:"hall_of_fame",howl:null},{title:"Intentions",file:"Intentions",howl:null},{title:"Roar",file:"Roar",howl:null},{title:"The Nights",file:"the_nights",howl:null},{title:"Shake It Off",file:"shake_it_off",howl:null},{title:"Love Me Like You Do",file:"love_me_like_you_do",howl:null},{title:"Firework",file:"firework_kp",howl:null},{title:"Dandelions",file:"Dandelions_rb",howl:null},{title:"Habits",file:"habits_tl",howl:null},{title:"24/7, 365",file:"ew_24",howl:null},{title:"Normal No More",file:"normal_no_more",howl:null},{title:"Fool For You",file:"fool_for_you",howl:null},{title:"In The Shadow Of The Sun",file:"in_the_shadow_of_the_sun",howl:null},{title:"I Don't Care",file:"i_dont_care",howl:null},{title:"Sunroof",file:"sunroof",howl:null},{title:"If I Cant Have You",file:"if_i_cant_have_you",howl:null},{title:"Rain on Me",file:"rain_on_me",howl:null},{title:"Stitches",file:"Stitches",howl:null},{title:"Say You Won't Let Go",file:"say_you_wont_let_go",howl:null},{title:"Way Back Home",file:"way_back_home",howl:null},{title:"Little Bit Better",file:"little_bit_better",howl:null},{title:"Drunk Text",file:"drunk_text",howl:null},{title:"Night Changes",file:"night_changes",howl:null},{title:"comethru",file:"comethru",howl:null},{title:"Magic",file:"super_junoir_magic",howl:null},{title:"I'm the One",file:"i_am_the_one",howl:null},{title:"Deep End",file:"deep_end",howl:null},{title:"Body Back",file:"body_back",howl:null},{title:"Million Days",file:"million_days",howl:null},{title:"失眠飞行",file:"失眠飞行",howl:null},{title:"没有理由",file:"没有理由",howl:null},{title:"时光背面的我",file:"时光背面的我",howl:null},{title:"放个大招给你看",file:"放个大招给你看",howl:null},{title:"Fatal Love",file:"fatal_love",howl:null},{title:"Mine (Illenium Remix)",file:"pr_mine",howl:null},{title:"The Way I Still Love You",file:"the_way_i_still_love_you",howl:null},{title:"Sunburst",file:"sunburst",howl:null},{title:"Something Strange",file:"something_strange",howl:null},{title:"Save Me",file:"save_me",howl:null},{title:"Meant To Be",file:"meant_to_be",howl:null},{title:"Make Me Move",file:"make_me_move",howl:null},{title:"Run Free",file:"run_free",howl:null},{title:"Fractures",file:"fractures",howl:null},{title:"Drown",file:"drown",howl:null},{title:"Home (Blaze U Remix)",file:"bz_home",howl:null},{title:"Where Is Your Love",file:"where_is_your_love",howl:null},{title:"Power",file:"power",howl:null},{title:"Move Up",file:"move_up",howl:null},{title:"Seasons",file:"amseasons",howl:null},{title:"Crazy",file:"bj_crazy",howl:null},{title:"Deep Blue",file:"deep_blue",howl:null},{title:"End Of The Night",file:"end_of_the_night",howl:null},{title:"Go Again",file:"go_again",howl:null},{title:"Hero",file:"cp_hero",howl:null},{title:"Little Do You Know",file:"little_do_you_know",howl:null},{title:"Touch",file:"lau_touch",howl:null},{title:"Waiting",file:"dash_waiting",howl:null},{title:"Beautiful Now",file:"beautiful_now",howl:null},{title:"Stay",file:"zstay",howl:null},{title:"好想每天都在你左右",file:"好想每天都在你左右",howl:null},]);
+/**
+ * Version of the playlist manifest schema that we understand.
+ * @type {Number}
+ */
+Player.MANIFEST_VERSION = 1;
+
+/**
+ * Validate a parsed playlist manifest and convert it into playlist tracks.
+ *
+ *   {
+ *     "version": 1,
+ *     "baseUrl": "https://example.com/audio/",   (optional)
+ *     "tracks": [{
+ *       "id": "song",                             (optional, unique string or number identifying the track)
+ *       "title": "Song",                          (required)
+ *       "sources": ["song.webm", "song.mp3"],     (required, relative to baseUrl; "song" alone tries each format)
+ *       "baseUrl": "https://mirror.example.com/", (optional, overrides the manifest's baseUrl)
+ *       "formats": ["opus", "mp3"],               (optional, formats available for extension-less sources)
+ *       "artist": "Artist", "album": "Album",     (optional)
+ *       "duration": 215.3,                        (optional, seconds)
+ *       "artwork": "https://example.com/art.jpg", (optional)
+ *       "tags": ["continuous"]                    (optional, 'continuous' turns off crossfading for the track)
+ *     }]
+ *   }
+ *
+ * @param  {Object} manifest Parsed manifest JSON.
+ * @return {Object}          {baseUrl, tracks, errors} where errors lists every skipped entry.
+ */
+Player.parseManifest = function (manifest) {
+  var result = { baseUrl: null, tracks: [], errors: [] };
+
+  if (!manifest || typeof manifest !== "object") {
+    result.errors.push("Manifest must be a JSON object.");
+    return result;
+  }
+  if (manifest.version !== Player.MANIFEST_VERSION) {
+    result.errors.push(
+      "Unsupported manifest version: " + manifest.version + ".",
+    );
+    return result;
+  }
+  if (!Array.isArray(manifest.tracks)) {
+    result.errors.push("Manifest has no tracks array.");
+    return result;
+  }
+  if (typeof manifest.baseUrl === "string") {
+    result.baseUrl = manifest.baseUrl;
+  }
+
+  var isString = function (val) {
+    return typeof val === "string" && val.length > 0;
+  };
+
+  manifest.tracks.forEach(function (entry, i) {
+    var problem = null;
+
+    if (!entry || typeof entry !== "object") {
+      problem = "not an object";
+    } else if (
+      "id" in entry &&
+      !isString(entry.id) &&
+      !(typeof entry.id === "number" && isFinite(entry.id))
+    ) {
+      problem = "id must be a string or number";
+    } else if (!isString(entry.title)) {
+      problem = "missing title";
+    } else if (
+      !Array.isArray(entry.sources) ||
+      !entry.sources.length ||
+      !entry.sources.every(isString)
+    ) {
+      problem = "sources must be a non-empty array of URLs";
+    } else if (
+      ["artist", "album", "artwork", "baseUrl"].some(function (key) {
+        return key in entry && !isString(entry[key]);
+      })
+    ) {
+      problem = "artist, album, artwork and baseUrl must be strings";
+    } else if (
+      "duration" in entry &&
+      !(typeof entry.duration === "number" && entry.duration >= 0)
+    ) {
+      problem = "duration must be a positive number of seconds";
+    } else if (
+      "formats" in entry &&
+      !(Array.isArray(entry.formats) && entry.formats.every(isString))
+    ) {
+      problem = "formats must be an array of file extensions";
+    } else if (
+      "tags" in entry &&
+      !(Array.isArray(entry.tags) && entry.tags.every(isString))
+    ) {
+      problem = "tags must be an array of strings";
+    }
+
+    if (problem) {
+      var title = (entry && entry.title) || "untitled";
+      result.errors.push("Track " + i + " (" + title + "): " + problem);
+      return;
+    }
+
+    result.tracks.push({
+      id: "id" in entry ? entry.id : null,
+      title: entry.title,
+      artist: entry.artist || null,
+      album: entry.album || null,
+      sources: entry.sources.slice(),
+      duration: entry.duration || null,
+      artwork: entry.artwork || null,
+      baseUrl: entry.baseUrl || null,
+      formats: entry.formats || null,
+      tags: entry.tags || null,
+      howl: null,
+    });
+  });
+
+  return result;
+};
+
+/**
+ * How many times to retry a source that failed to load before falling back to the next one.
+ * @type {Number}
+ */
+Player.RETRIES = 2;
+
+/**
+ * Delay before the first retry in milliseconds, doubling with each one after.
+ * @type {Number}
+ */
+Player.RETRY_DELAY = 1000;
+
+/**
+ * Seconds before the end of a Web Audio track to schedule the gapless start of the next one.
+ * @type {Number}
+ */
+Player.HANDOVER_LEAD = 1;
+
+/**
+ * Key that the playback state is saved under in localStorage.
+ * @type {String}
+ */
+Player.STATE_KEY = "player-state";
+
+/**
+ * Version of the saved playback state. Version 1 pointed at tracks by their index, so it is not resumed.
+ * @type {Number}
+ */
+Player.STATE_VERSION = 2;
+
+/**
+ * Key that the queue is saved under in localStorage (apart from the state, as it rarely changes).
+ * @type {String}
+ */
+Player.QUEUE_KEY = "player-queue";
+
+/**
+ * Read the playback state saved by a previous visit, along with its queue.
+ * @return {Object} Saved state, or null if there is none (or it is unreadable).
+ */
+Player.readState = function () {
+  try {
+    var state = JSON.parse(localStorage.getItem(Player.STATE_KEY));
+    if (state && !state.queue) {
+      state.queue = JSON.parse(localStorage.getItem(Player.QUEUE_KEY));
+    }
+    return state &&
+      state.version === Player.STATE_VERSION &&
+      Array.isArray(state.queue)
+      ? state
+      : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Visualizer shown in place of one that follows the analyser when the track isn't reaching it.
+ * @type {String}
+ */
+Player.FALLBACK_VISUALIZER = "peaks";
+
+/**
+ * localStorage key for the chosen visualizer.
+ * @type {String}
+ */
+Player.VISUALIZER_KEY = "player-visualizer";
+
+/**
+ * Read the visualizer chosen on a previous visit.
+ * @return {String} Visualizer name, or null if none was chosen.
+ */
+Player.readVisualizer = function () {
+  try {
+    return localStorage.getItem(Player.VISUALIZER_KEY);
+  } catch (e) {
+    return null;
+  }
+};
+
+// Setup our new audio player class and load the playlist manifest.
+// Audio can be served from a mirror or local dev server with ?audio=<base URL>.
+var player = new Player("playlist.json", {
+  resolver: {
+    baseUrl: new URLSearchParams(location.search).get("audio"),
+  },
+});
 
 // Bind our player controls.
 playBtn.addEventListener("click", function () {
@@ -308,14 +2344,61 @@ prevBtn.addEventListener("click", function () {
 nextBtn.addEventListener("click", function () {
   player.skip("next");
 });
-waveform.addEventListener("click", function (event) {
-  player.seek(event.clientX / window.innerWidth);
+shuffleBtn.addEventListener("click", function () {
+  player.toggleShuffle();
+});
+repeatBtn.addEventListener("click", function () {
+  player.cycleRepeat();
+});
+visualizerBtn.addEventListener("click", function () {
+  player.cycleVisualizer();
 });
 playlistBtn.addEventListener("click", function () {
   player.togglePlaylist();
 });
-playlist.addEventListener("click", function () {
-  player.togglePlaylist();
+playlist.addEventListener("click", function (event) {
+  // Close on a song (once it has been picked) or around the list, but not while searching.
+  if (
+    event.target === playlist ||
+    event.target === list ||
+    event.target.closest(".list-song")
+  ) {
+    player.togglePlaylist();
+  }
+});
+
+// One handler for every row, however many there are.
+list.addEventListener("click", function (event) {
+  var row = event.target.closest(".list-song");
+  if (row) {
+    player.skipTo(player.trackIndex(row.getAttribute("data-id")));
+  }
+});
+
+// Search the playlist, with the arrow keys and Enter to pick from the results.
+search.addEventListener("input", function () {
+  player.filterPlaylist(search.value);
+});
+search.addEventListener("keydown", function (event) {
+  if (event.key === "ArrowDown") {
+    player.moveCursor(1);
+  } else if (event.key === "ArrowUp") {
+    player.moveCursor(-1);
+  } else if (event.key === "Enter") {
+    player.chooseCursor();
+  } else if (event.key === "Escape") {
+    // Clear the search first, then close.
+    if (search.value) {
+      search.value = "";
+      player.filterPlaylist("");
+    } else {
+      player.togglePlaylist();
+    }
+  } else {
+    return;
+  }
+
+  event.preventDefault();
 });
 volumeBtn.addEventListener("click", function () {
   player.toggleVolume();
@@ -324,75 +2407,200 @@ volume.addEventListener("click", function () {
   player.toggleVolume();
 });
 
-// Setup the event listeners to enable dragging of volume slider.
-barEmpty.addEventListener("click", function (event) {
-  var per = event.layerX / parseFloat(barEmpty.scrollWidth);
-  player.volume(per);
+// Dismiss the error toast, or save the error log from it.
+toastClose.addEventListener("click", function () {
+  player.hideError();
 });
-sliderBtn.addEventListener("mousedown", function () {
-  window.sliderDown = true;
+toastLog.addEventListener("click", function () {
+  player.exportErrors();
 });
-sliderBtn.addEventListener("touchstart", function () {
-  window.sliderDown = true;
+
+// Answer the resume prompt.
+resumeBtn.addEventListener("click", function () {
+  player.resumeState();
 });
-volume.addEventListener("mouseup", function () {
-  window.sliderDown = false;
+restartBtn.addEventListener("click", function () {
+  player.startOver();
 });
-volume.addEventListener("touchend", function () {
-  window.sliderDown = false;
+
+// Save where we are when the page goes away.
+window.addEventListener("pagehide", function () {
+  player.saveState();
 });
 
-var move = function (event) {
-  if (window.sliderDown) {
-    var x = event.clientX || event.touches[0].clientX;
-    var startX = window.innerWidth * 0.05;
-    var layerX = x - startX;
-    var per = Math.min(
-      1,
-      Math.max(0, layerX / parseFloat(barEmpty.scrollWidth)),
-    );
-    player.volume(per);
+// Export the playlist from the buttons in the playlist panel.
+exportBar.addEventListener("click", function (event) {
+  event.stopPropagation();
+
+  var format = event.target.getAttribute("data-format");
+  if (format) {
+    player.exportPlaylist(format);
+  }
+});
+
+// Drop playlist files onto the page: the left half replaces the playlist, the right half appends.
+var dragDepth = 0;
+var dropAppend = function (event) {
+  return event.clientX > window.innerWidth / 2;
+};
+document.addEventListener("dragenter", function (event) {
+  if (event.dataTransfer.types.indexOf("Files") >= 0) {
+    dragDepth++;
+    dropzone.style.display = "block";
   }
+});
+document.addEventListener("dragleave", function () {
+  if (dragDepth > 0 && --dragDepth === 0) {
+    dropzone.style.display = "none";
+  }
+});
+document.addEventListener("dragover", function (event) {
+  event.preventDefault();
+  dropzone.className = dropAppend(event) ? "append" : "replace";
+});
+document.addEventListener("drop", function (event) {
+  event.preventDefault();
+  dragDepth = 0;
+  dropzone.style.display = "none";
+
+  // With several files, the first one can replace the playlist and the rest are added in turn.
+  var append = dropAppend(event);
+  Array.prototype.reduce.call(
+    event.dataTransfer.files,
+    function (prev, file, i) {
+      return prev.then(function () {
+        return player.importPlaylist(file, append || i > 0);
+      });
+    },
+    Promise.resolve(),
+  );
+});
+
+// Seek bar: drag to scrub, hover to see the time you would jump to, arrow keys to step.
+var scrubPer = function (event) {
+  var rect = scrubber.getBoundingClientRect();
+  return Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
 };
+scrubber.addEventListener("pointerdown", function (event) {
+  if (event.button !== 0) {
+    return;
+  }
+
+  scrubber.setPointerCapture(event.pointerId);
+  player.previewSeek(scrubPer(event));
+});
+scrubber.addEventListener("pointermove", function (event) {
+  var per = scrubPer(event);
+
+  seekTip.textContent = player.formatTime(
+    Math.round(player.trackLength() * per),
+  );
+  seekTip.style.left = per * 100 + "%";
+  seekTip.style.display = player.trackLength() ? "block" : "none";
+
+  if (player.scrubbing) {
+    player.previewSeek(per);
+  }
+});
+scrubber.addEventListener("pointerup", function (event) {
+  if (player.scrubbing) {
+    player.endScrub(scrubPer(event));
+  }
 
-volume.addEventListener("mousemove", move);
-volume.addEventListener("touchmove", move);
+  // Touch has no hover, so don't leave the time showing.
+  if (event.pointerType !== "mouse") {
+    seekTip.style.display = "none";
+  }
+});
+scrubber.addEventListener("pointercancel", function () {
+  player.endScrub(null);
+  seekTip.style.display = "none";
+});
+scrubber.addEventListener("pointerleave", function () {
+  if (!player.scrubbing) {
+    seekTip.style.display = "none";
+  }
+});
+scrubber.addEventListener("keydown", function (event) {
+  var steps = {
+    ArrowLeft: -5,
+    ArrowDown: -5,
+    ArrowRight: 5,
+    ArrowUp: 5,
+    PageDown: -30,
+    PageUp: 30,
+  };
+
+  if (event.key in steps) {
+    player.seekBy(steps[event.key]);
+  } else if (event.key === "Home") {
+    player.seekTo(0);
+  } else if (event.key === "End") {
+    player.seekTo(player.trackLength());
+  } else {
+    return;
+  }
+
+  // Don't let the keyboard shortcuts handle the same key again.
+  event.preventDefault();
+  event.stopPropagation();
+});
 
-// Setup the "waveform" animation.
-var wave = new SiriWave({
-  container: waveform,
-  width: window.innerWidth,
-  height: window.innerHeight * 0.3,
-  cover: true,
-  speed: 0.03,
-  amplitude: 0.7,
-  frequency: 2,
+// Keyboard shortcuts ("?" lists them and lets you remap them).
+var shortcuts = new Shortcuts(player, { overlay: help, list: helpList });
+help.addEventListener("click", function () {
+  shortcuts.toggleHelp();
+});
+helpReset.addEventListener("click", function (event) {
+  event.stopPropagation();
+  shortcuts.reset();
 });
-wave.start();
 
-// Update the height of the wave animation.
-// These are basically some hacks to get SiriWave.js to do what we want.
+// Hardware media keys, headset buttons and the lock screen / OS media controls.
+if ("mediaSession" in navigator) {
+  var mediaActions = {
+    play: function () {
+      player.play();
+    },
+    pause: function () {
+      player.pause();
+    },
+    previoustrack: function () {
+      player.skip("prev");
+    },
+    nexttrack: function () {
+      player.skip("next");
+    },
+    seekto: function (details) {
+      player.seekTo(details.seekTime);
+    },
+    seekbackward: function (details) {
+      player.seekBy(-(details.seekOffset || 10));
+    },
+    seekforward: function (details) {
+      player.seekBy(details.seekOffset || 10);
+    },
+  };
+
+  // Browsers throw for actions they don't support, so register each one on its own.
+  Object.keys(mediaActions).forEach(function (action) {
+    try {
+      navigator.mediaSession.setActionHandler(action, mediaActions[action]);
+    } catch (e) {}
+  });
+}
+
+// Update the size of the visualizer.
 var resize = function () {
   var height = window.innerHeight * 0.3;
   var width = window.innerWidth;
-  wave.height = height;
-  wave.height_2 = height / 2;
-  wave.MAX = wave.height_2 - 4;
-  wave.width = width;
-  wave.width_2 = width / 2;
-  wave.width_4 = width / 4;
-  wave.canvas.height = height;
-  wave.canvas.width = width;
-  wave.container.style.margin = -(height / 2) + "px auto";
-
-  // Update the position of the slider.
-  var sound = player.playlist[player.index].howl;
-  if (sound) {
-    var vol = sound.volume();
-    var barWidth = vol * 0.9;
-    sliderBtn.style.left =
-      window.innerWidth * barWidth + window.innerWidth * 0.05 - 25 + "px";
-  }
+  waveform.style.margin = -(height / 2) + "px auto";
+  player.visualizer.resize(width, height);
 };
 window.addEventListener("resize", resize);
 resize();
+
+// Rest the visualizer while the page can't be seen.
+document.addEventListener("visibilitychange", function () {
+  player.setVisualizerPlaying(player.isPlaying());
+});
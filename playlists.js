@@ -0,0 +1,352 @@
+/*!
+ *  Playlist file formats (M3U/M3U8, PLS and XSPF) for the audio player.
+ *  Parsers return manifest-style track entries ({title, artist, album, sources, duration, artwork})
+ *  and serializers take the same shape, so both sides go through Player.parseManifest.
+ */
+
+(function () {
+  /**
+   * Fallback title for an entry without one: the file name without extension.
+   * @param  {String} src Source URL or path.
+   * @return {String}
+   */
+  var titleFromSource = function (src) {
+    var name = src
+      .split(/[?#]/)[0]
+      .split(/[\\/]/)
+      .pop()
+      .replace(/\.[^.]+$/, "");
+
+    try {
+      name = decodeURIComponent(name);
+    } catch (e) {}
+
+    return name || src;
+  };
+
+  /**
+   * Split an "Artist - Title" display string as used by #EXTINF and PLS titles.
+   * @param  {String} display Display string.
+   * @return {Object}         {artist, title}
+   */
+  var splitDisplay = function (display) {
+    var pos = display.indexOf(" - ");
+    if (pos > 0) {
+      return { artist: display.slice(0, pos), title: display.slice(pos + 3) };
+    }
+
+    return { artist: null, title: display };
+  };
+
+  /**
+   * Build the "Artist - Title" display string for a track.
+   * @param  {Object} track Track entry.
+   * @return {String}
+   */
+  var joinDisplay = function (track) {
+    return track.artist ? track.artist + " - " + track.title : track.title;
+  };
+
+  /**
+   * Create a track entry, leaving out empty optional fields so validation stays happy.
+   * @param  {String} src    Source URL or path.
+   * @param  {Object} fields Optional {title, artist, album, duration, artwork}.
+   * @return {Object}        Track entry.
+   */
+  var makeTrack = function (src, fields) {
+    var entry = { title: fields.title || titleFromSource(src), sources: [src] };
+
+    ["artist", "album", "artwork"].forEach(function (key) {
+      if (fields[key]) {
+        entry[key] = fields[key];
+      }
+    });
+    if (fields.duration > 0) {
+      entry.duration = fields.duration;
+    }
+
+    return entry;
+  };
+
+  var lines = function (text) {
+    return text
+      .replace(/^\uFEFF/, "")
+      .split(/\r\n|\r|\n/)
+      .map(function (line) {
+        return line.trim();
+      });
+  };
+
+  var escapeXml = function (str) {
+    return String(str)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  };
+
+  /** M3U / M3U8 **/
+
+  var m3u = {
+    extensions: ["m3u", "m3u8"],
+    mime: "audio/x-mpegurl",
+
+    /**
+     * Parse an M3U/M3U8 playlist, including extended #EXTINF, #EXTALB, #EXTART and #EXTIMG tags.
+     * @param  {String} text Playlist file contents.
+     * @return {Array}       Track entries.
+     */
+    parse: function (text) {
+      var tracks = [];
+      var info = {};
+
+      lines(text).forEach(function (line) {
+        var match;
+
+        if (!line) {
+          return;
+        }
+
+        if ((match = /^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i.exec(line))) {
+          var display = splitDisplay(match[2].trim());
+          info.duration = parseFloat(match[1]);
+          info.title = display.title;
+          info.artist = display.artist || info.artist;
+        } else if ((match = /^#EXTALB:(.*)$/i.exec(line))) {
+          info.album = match[1].trim();
+        } else if ((match = /^#EXTART:(.*)$/i.exec(line))) {
+          info.artist = match[1].trim();
+        } else if ((match = /^#EXTIMG:(.*)$/i.exec(line))) {
+          info.artwork = match[1].trim();
+        } else if (line[0] !== "#") {
+          tracks.push(makeTrack(line, info));
+          info = {};
+        }
+      });
+
+      return tracks;
+    },
+
+    /**
+     * Serialize tracks as an extended M3U8 playlist.
+     * @param  {Array}  tracks Track entries with absolute sources.
+     * @return {String}        Playlist file contents.
+     */
+    serialize: function (tracks) {
+      var out = ["#EXTM3U"];
+
+      tracks.forEach(function (track) {
+        var duration = track.duration ? Math.round(track.duration) : -1;
+        out.push("#EXTINF:" + duration + "," + joinDisplay(track));
+        if (track.album) {
+          out.push("#EXTALB:" + track.album);
+        }
+        if (track.artwork) {
+          out.push("#EXTIMG:" + track.artwork);
+        }
+        out.push(track.sources[0]);
+      });
+
+      return out.join("\n") + "\n";
+    },
+  };
+
+  /** PLS **/
+
+  var pls = {
+    extensions: ["pls"],
+    mime: "audio/x-scpls",
+
+    /**
+     * Parse a PLS playlist (FileN, TitleN and LengthN keys).
+     * @param  {String} text Playlist file contents.
+     * @return {Array}       Track entries.
+     */
+    parse: function (text) {
+      var entries = {};
+
+      lines(text).forEach(function (line) {
+        var match = /^(File|Title|Length)(\d+)\s*=(.*)$/i.exec(line);
+        if (match) {
+          var num = parseInt(match[2], 10);
+          entries[num] = entries[num] || {};
+          entries[num][match[1].toLowerCase()] = match[3].trim();
+        }
+      });
+
+      return Object.keys(entries)
+        .map(Number)
+        .sort(function (a, b) {
+          return a - b;
+        })
+        .filter(function (num) {
+          return entries[num].file;
+        })
+        .map(function (num) {
+          var entry = entries[num];
+          var display = splitDisplay(entry.title || "");
+
+          return makeTrack(entry.file, {
+            title: display.title,
+            artist: display.artist,
+            duration: parseFloat(entry.length),
+          });
+        });
+    },
+
+    /**
+     * Serialize tracks as a version 2 PLS playlist.
+     * @param  {Array}  tracks Track entries with absolute sources.
+     * @return {String}        Playlist file contents.
+     */
+    serialize: function (tracks) {
+      var out = ["[playlist]"];
+
+      tracks.forEach(function (track, i) {
+        var num = i + 1;
+        var duration = track.duration ? Math.round(track.duration) : -1;
+        out.push("File" + num + "=" + track.sources[0]);
+        out.push("Title" + num + "=" + joinDisplay(track));
+        out.push("Length" + num + "=" + duration);
+      });
+
+      out.push("NumberOfEntries=" + tracks.length);
+      out.push("Version=2");
+
+      return out.join("\n") + "\n";
+    },
+  };
+
+  /** XSPF **/
+
+  var xspf = {
+    extensions: ["xspf"],
+    mime: "application/xspf+xml",
+
+    /**
+     * Parse an XSPF playlist. Every <location> of a track becomes one of its sources.
+     * @param  {String} text Playlist file contents.
+     * @return {Array}       Track entries.
+     */
+    parse: function (text) {
+      var doc = new DOMParser().parseFromString(text, "application/xml");
+      if (doc.getElementsByTagName("parsererror").length) {
+        throw new Error("Invalid XSPF playlist.");
+      }
+
+      var child = function (node, name) {
+        var found = node.getElementsByTagName(name)[0];
+        return found ? found.textContent.trim() : null;
+      };
+
+      return Array.prototype.slice
+        .call(doc.getElementsByTagName("track"))
+        .map(function (node) {
+          var sources = Array.prototype.slice
+            .call(node.getElementsByTagName("location"))
+            .map(function (loc) {
+              return loc.textContent.trim();
+            })
+            .filter(Boolean);
+
+          if (!sources.length) {
+            return null;
+          }
+
+          var entry = makeTrack(sources[0], {
+            title: child(node, "title"),
+            artist: child(node, "creator"),
+            album: child(node, "album"),
+            duration: parseFloat(child(node, "duration")) / 1000,
+            artwork: child(node, "image"),
+          });
+          entry.sources = sources;
+
+          return entry;
+        })
+        .filter(Boolean);
+    },
+
+    /**
+     * Serialize tracks as an XSPF version 1 playlist.
+     * @param  {Array}  tracks Track entries with absolute sources.
+     * @return {String}        Playlist file contents.
+     */
+    serialize: function (tracks) {
+      var out = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        "  <trackList>",
+      ];
+
+      tracks.forEach(function (track) {
+        out.push("    <track>");
+        track.sources.forEach(function (src) {
+          out.push("      <location>" + escapeXml(src) + "</location>");
+        });
+        out.push("      <title>" + escapeXml(track.title) + "</title>");
+        if (track.artist) {
+          out.push("      <creator>" + escapeXml(track.artist) + "</creator>");
+        }
+        if (track.album) {
+          out.push("      <album>" + escapeXml(track.album) + "</album>");
+        }
+        if (track.duration) {
+          out.push(
+            "      <duration>" +
+              Math.round(track.duration * 1000) +
+              "</duration>",
+          );
+        }
+        if (track.artwork) {
+          out.push("      <image>" + escapeXml(track.artwork) + "</image>");
+        }
+        out.push("    </track>");
+      });
+
+      out.push("  </trackList>", "</playlist>");
+
+      return out.join("\n") + "\n";
+    },
+  };
+
+  var PlaylistFormats = {
+    m3u: m3u,
+    pls: pls,
+    xspf: xspf,
+
+    /**
+     * Work out the format of a playlist file from its name, falling back to sniffing the contents.
+     * @param  {String} name File name.
+     * @param  {String} text File contents.
+     * @return {String}      'm3u', 'pls', 'xspf' or null if unknown.
+     */
+    detect: function (name, text) {
+      var ext = (/\.([^.]+)$/.exec(name || "") || [])[1];
+      ext = ext ? ext.toLowerCase() : null;
+
+      var formats = ["m3u", "pls", "xspf"];
+      for (var i = 0; i < formats.length; i++) {
+        if (PlaylistFormats[formats[i]].extensions.indexOf(ext) >= 0) {
+          return formats[i];
+        }
+      }
+
+      var head = (text || "").replace(/^\uFEFF?\s*/, "");
+      if (/^#EXTM3U/i.test(head)) {
+        return "m3u";
+      }
+      if (/^\[playlist\]/i.test(head)) {
+        return "pls";
+      }
+      if (/^(<\?xml[^>]*>\s*)?<playlist[\s>]/i.test(head)) {
+        return "xspf";
+      }
+
+      return null;
+    },
+  };
+
+  window.PlaylistFormats = PlaylistFormats;
+})();
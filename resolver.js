@@ -0,0 +1,150 @@
+/*!
+ *  Source resolver for the audio player.
+ *  Turns a track's sources into the ordered list of URLs (and formats) handed to Howler.
+ */
+
+(function () {
+  /**
+   * Get the audio format of a URL from its extension or data URI.
+   * @param  {String} url Source URL.
+   * @return {String}     Lowercase format, or null if there is none.
+   */
+  var formatOf = function (url) {
+    var ext = /^data:audio\/([^;,]+);/i.exec(url);
+    if (!ext) {
+      ext = /\.([^./]+)$/.exec(url.split(/[?#]/, 1)[0]);
+    }
+
+    return ext ? ext[1].toLowerCase() : null;
+  };
+
+  /**
+   * Resolves track sources against a base URL and orders them by codec support.
+   * @param {Object} o Options:
+   *   baseUrl {String}   Base for relative sources, overriding the manifest's (e.g. a mirror or local dev server).
+   *   formats {Array}    Formats to try for sources given without an extension, in order of preference.
+   *   sign    {Function} Hook to sign or rewrite each URL: sign(url, track, done), where done(err, url, expires)
+   *                      may be called synchronously or later. `expires` is an optional timestamp in milliseconds.
+   */
+  var SourceResolver = function (o) {
+    o = o || {};
+
+    this.baseUrl = o.baseUrl || null;
+    this.formats = o.formats || ["opus", "webm", "m4a", "mp3"];
+    this.sign = o.sign || null;
+  };
+  SourceResolver.prototype = {
+    /**
+     * Get the unsigned, absolute URLs for a track, best supported format first.
+     * Tracks can override the base URL and formats with their own `baseUrl` and `formats`.
+     * @param  {Object} track Track from the playlist.
+     * @param  {String} base  Default base URL (the manifest's), used when no baseUrl option is set.
+     * @return {Array}        Array of {url, format}.
+     */
+    urls: function (track, base) {
+      var self = this;
+      var formats = track.formats || self.formats;
+      var root = new URL(self.baseUrl || base || location.href, location.href);
+      if (track.baseUrl) {
+        root = new URL(track.baseUrl, root);
+      }
+
+      // Expand sources without an extension into one URL per format.
+      var sources = [];
+      track.sources.forEach(function (src) {
+        var format = formatOf(src);
+        if (format) {
+          sources.push({ url: new URL(src, root).href, format: format });
+        } else {
+          formats.forEach(function (ext) {
+            sources.push({
+              url: new URL(src + "." + ext, root).href,
+              format: ext,
+            });
+          });
+        }
+      });
+
+      // Drop formats this browser can't play (unless that leaves nothing, so Howler can report it).
+      var playable = sources.filter(function (source) {
+        return Howler.codecs(source.format);
+      });
+      if (playable.length) {
+        sources = playable;
+      }
+
+      // Order by preference, keeping the track's own order for formats we don't rank.
+      var rank = function (source) {
+        var pos = formats.indexOf(source.format);
+        return pos >= 0 ? pos : formats.length;
+      };
+
+      return sources
+        .map(function (source, i) {
+          return { source: source, i: i };
+        })
+        .sort(function (a, b) {
+          return rank(a.source) - rank(b.source) || a.i - b.i;
+        })
+        .map(function (item) {
+          return item.source;
+        });
+    },
+
+    /**
+     * Resolve the URLs for a track and run them through the signing hook.
+     * The callback is called synchronously when there is no hook or it answers synchronously.
+     * @param  {Object}   track    Track from the playlist.
+     * @param  {String}   base     Default base URL (the manifest's).
+     * @param  {Function} callback Called with (err, sources) where sources is an array of {url, format}.
+     */
+    resolve: function (track, base, callback) {
+      var self = this;
+      var sources = self.urls(track, base);
+      var pending = sources.length;
+      var failed = false;
+
+      track.expires = null;
+
+      if (!self.sign || !pending) {
+        callback(null, sources);
+        return;
+      }
+
+      sources.forEach(function (source) {
+        self.sign(source.url, track, function (err, url, expires) {
+          if (failed) {
+            return;
+          }
+          if (err) {
+            failed = true;
+            callback(err);
+            return;
+          }
+
+          source.url = url;
+
+          // The track needs fresh URLs as soon as the first one expires.
+          if (expires && (!track.expires || expires < track.expires)) {
+            track.expires = expires;
+          }
+
+          if (--pending === 0) {
+            callback(null, sources);
+          }
+        });
+      });
+    },
+
+    /**
+     * Check if the signed URLs of a track have expired and it needs resolving again.
+     * @param  {Object}  track Track from the playlist.
+     * @return {Boolean}
+     */
+    expired: function (track) {
+      return !!track.expires && track.expires <= Date.now();
+    },
+  };
+
+  window.SourceResolver = SourceResolver;
+})();
@@ -0,0 +1,151 @@
+/*!
+ *  Playlist search for the audio player.
+ *  Matches track titles as you type: Latin text ignoring case and accents, and Chinese by its
+ *  characters, its pinyin (e.g. "qilixiang" or "qi li xiang" for 七里香) or its initials ("qlx").
+ */
+
+(function () {
+  /**
+   * The first character of every pinyin syllable, in the order a Chinese collator sorts them. A character
+   * is read as the syllable whose first character sorts just before it, so only these ~400 characters are
+   * needed instead of a full dictionary. Characters with several readings get the one the collator sorts by.
+   * @type {String}
+   */
+  var SYLLABLES =
+    "a吖ai哎an安ang肮ao凹ba丷bai挀ban扳bang邦bao勹bei卑ben奔beng伻bi偪bian边biao标bie憋bin汃bing冫bo癶bu峬ca擦cai偲can参cang仓cao撡ce冊cen嵾ceng噌cha叉chai芆chan辿chang伥chao抄che车chen抻cheng阷chi吃chong充chou抽chu出chuai揣chuan巛chuang刅chui吹chun旾chuo逴ci呲cong匆cou凑cu粗cuan汆cui崔cun邨cuo搓da咑dai呆dan丹dang当dao刀de嘚den扥deng灯di氐dia嗲dian敁diao刁die爹ding丁diu丟dong东dou吺du厾duan偳dui垖dun吨duo多e妸ei诶en奀eng鞥er儿fa发fan帆fang匚fei飞fen分feng丰fo仏fou紑fu夫ga旮gai侅gan甘gang冈gao皋ge戈gei给gen根geng刯gong工gou勾gu估gua瓜guai拐guan关guang光gui归gun丨guo呙ha哈hai咍han佄hang夯hao茠he诃hei黒hen拫heng亨hong叿hou齁hu乎hua花huai怀huan欢huang巟hui灰hun昏huo吙ji讥jia加jian戋jiang江jiao艽jie阶jin巾jing坕jiong冂jiu丩ju凥juan姢jue噘jun军ka咔kai开kan刊kang忼kao尻ke匼kei尅ken肎keng劥kong空kou抠ku刳kua夸kuai蒯kuan宽kuang匡kui亏kun坤kuo扩la垃lai来lan兰lang啷lao捞le仂lei雷leng塄li哩lia俩lian奁liang良liao撩lie毟lin拎ling伶liu溜long龙lou瞜lu噜luan娈lue掠lun抡luo啰m呣ma妈mai埋man嫚mang牤mao猫me嚒mei坆men椚meng擝mi咪mian宀miao喵mie吀min民ming名miu谬mo摸mou哞mu毪na拏nai腉nan囡nang囔nao孬ne疒nei娞nen恁neng能ng嗯ni妮nian拈niang娘niao鸟nie捏nin囜ning宁niu妞nong农nou羺nu奴nuan奻nue疟nuo挪o噢ou讴pa妑pai拍pan眅pang乓pao抛pei呸pen喷peng匉pi丕pian囨piao剽pie氕pin姘ping乒po钋pou剖pu仆qi七qia掐qian千qiang呛qiao悄qie苆qin亲qing靑qiong卭qiu丘qu区quan奍que炔qun夋ran呥rang穣rao娆re惹ren人reng扔ri日rong戎rou禸ru邚ruan堧rui桵run闰ruo捼sa仨sai毢san三sang桒sao掻se色sen森seng僧sha杀shai筛shan山shang伤shao弰she奢shen申sheng升shi尸shou収shu书shua刷shuai衰shuan闩shuang双shui脽shun吮shuo说si厶song忪sou凁su苏suan狻sui夊sun孙suo唆ta他tai囼tan坍tang汤tao夲te忑teng熥ti剔tian天tiao旫tie帖ting厅tong炵tou偷tu凸tuan湍tui推tun吞tuo乇wa屲wai歪wan弯wang尢wei危wen昷weng翁wo挝wu乌xi夕xia呷xian仙xiang乡xiao灱xie些xin心xing星xiong凶xiu休xu吁xuan吅xue疶xun坃ya丫yan恹yang央yao幺ye倻yi一yin囙ying应yo哟yong佣you优yu込yuan囦yue曰yun晕za帀zai災zan兂zang匨zao傮ze则zei贼zen怎zeng囎zha扎zhai夈zhan枬zhang张zhao佋zhe蜇zhen贞zheng凧zhi之zhong中zhou州zhu朱zhua抓zhuai跩zhuan专zhuang妆zhui隹zhun宒zhuo拙zi孜zong宗zou邹zu租zuan钻zui厜zun尊zuo嘬";
+
+  var syllables = [];
+  var firsts = [];
+  SYLLABLES.replace(/([a-z]+)([^a-z])/g, function (m, syllable, first) {
+    syllables.push(syllable);
+    firsts.push(first);
+  });
+
+  /**
+   * Collator sorting Chinese by pinyin, or null where the browser doesn't have one (pinyin matching is
+   * then left out and titles still match by their characters).
+   * @type {Intl.Collator}
+   */
+  var collator = (function () {
+    try {
+      var zh = new Intl.Collator("zh-CN");
+      return zh.resolvedOptions().locale.indexOf("zh") === 0 &&
+        zh.compare(firsts[1], firsts[2]) < 0
+        ? zh
+        : null;
+    } catch (e) {
+      return null;
+    }
+  })();
+
+  /**
+   * Keys already worked out, by title.
+   * @type {Object}
+   */
+  var cache = {};
+
+  /**
+   * Pinyin syllable of a Chinese character.
+   * @param  {String} ch Character in the CJK Unified Ideographs block.
+   * @return {String}    Syllable without tones, or null if it can't be worked out.
+   */
+  var syllableOf = function (ch) {
+    if (!collator || collator.compare(ch, firsts[0]) < 0) {
+      return null;
+    }
+
+    var lo = 0;
+    var hi = firsts.length - 1;
+    while (lo < hi) {
+      var mid = (lo + hi + 1) >> 1;
+      if (collator.compare(ch, firsts[mid]) >= 0) {
+        lo = mid;
+      } else {
+        hi = mid - 1;
+      }
+    }
+
+    return syllables[lo];
+  };
+
+  /**
+   * Lowercase text and strip accents and full-width forms, splitting it into words of letters, digits
+   * and CJK characters.
+   * @param  {String} text
+   * @return {Array}
+   */
+  var words = function (text) {
+    return String(text)
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .split(/[^a-z0-9\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]+/)
+      .filter(Boolean);
+  };
+
+  var Search = {
+    /**
+     * Work out what a title can be matched by.
+     * @param  {String} title Track title.
+     * @return {Object}       {text, pinyin, initials}: the folded title, the same with Chinese characters
+     *                        spelled out in pinyin, and the initials of its words and syllables.
+     */
+    keys: function (title) {
+      if (cache[title]) {
+        return cache[title];
+      }
+
+      var keys = { text: "", pinyin: "", initials: "" };
+
+      words(title).forEach(function (word) {
+        var inWord = false;
+
+        keys.text += word;
+        for (var i = 0; i < word.length; i++) {
+          var ch = word[i];
+          var syllable = /[\u4e00-\u9fa5]/.test(ch) ? syllableOf(ch) : null;
+
+          if (syllable) {
+            keys.pinyin += syllable;
+            keys.initials += syllable[0];
+            inWord = false;
+          } else {
+            keys.pinyin += ch;
+            if (!inWord) {
+              keys.initials += ch;
+            }
+            inWord = true;
+          }
+        }
+      });
+
+      cache[title] = keys;
+      return keys;
+    },
+
+    /**
+     * Check if a title matches what has been typed so far.
+     * @param  {String}  title Track title.
+     * @param  {String}  query Search text (an empty one matches everything).
+     * @return {Boolean}
+     */
+    match: function (title, query) {
+      var q = words(query).join("");
+      if (!q) {
+        return true;
+      }
+
+      var keys = Search.keys(title);
+      // Pinyin has no v: it's typed for ü, which we spell as u.
+      var spelled = q.replace(/v/g, "u");
+
+      return (
+        keys.text.indexOf(q) !== -1 ||
+        keys.pinyin.indexOf(spelled) !== -1 ||
+        keys.initials.indexOf(spelled) !== -1
+      );
+    },
+  };
+
+  window.Search = Search;
+})();
@@ -0,0 +1,388 @@
+/*!
+ *  Keyboard shortcuts for the audio player.
+ *  Maps keys to player actions, with a help overlay that lists the bindings and lets you remap them.
+ */
+
+(function () {
+  /**
+   * Actions that can be bound to a key: {label, run(player)}.
+   * @type {Object}
+   */
+  var ACTIONS = {
+    playPause: {
+      label: "Play / pause",
+      run: function (player) {
+        player.togglePlay();
+      },
+    },
+    seekBackward: {
+      label: "Back 5 seconds",
+      run: function (player) {
+        player.seekBy(-5);
+      },
+    },
+    seekForward: {
+      label: "Forward 5 seconds",
+      run: function (player) {
+        player.seekBy(5);
+      },
+    },
+    volumeUp: {
+      label: "Volume up",
+      run: function (player) {
+        player.volume(player.volumeControl.level + 0.1);
+      },
+    },
+    volumeDown: {
+      label: "Volume down",
+      run: function (player) {
+        player.volume(player.volumeControl.level - 0.1);
+      },
+    },
+    next: {
+      label: "Next track",
+      run: function (player) {
+        player.skip("next");
+      },
+    },
+    prev: {
+      label: "Previous track",
+      run: function (player) {
+        player.skip("prev");
+      },
+    },
+    mute: {
+      label: "Mute / unmute",
+      run: function (player) {
+        player.mute();
+      },
+    },
+    playlist: {
+      label: "Show / hide playlist",
+      run: function (player) {
+        player.togglePlaylist();
+      },
+    },
+    shuffle: {
+      label: "Shuffle on / off",
+      run: function (player) {
+        player.toggleShuffle();
+      },
+    },
+    repeat: {
+      label: "Repeat all / one / off",
+      run: function (player) {
+        player.cycleRepeat();
+      },
+    },
+    visualizer: {
+      label: "Next visualizer",
+      run: function (player) {
+        player.cycleVisualizer();
+      },
+    },
+  };
+
+  // Number keys jump through the track: 1 is 10%, 2 is 20% ... 0 is the start.
+  for (var i = 0; i < 10; i++) {
+    ACTIONS["jump" + i] = {
+      label: "Jump to " + i * 10 + "%",
+      run: (function (per) {
+        return function (player) {
+          player.seek(per);
+        };
+      })(i / 10),
+    };
+  }
+
+  /**
+   * Default key bindings ({key: action}), keyed by KeyboardEvent.key with letters in lowercase.
+   * @type {Object}
+   */
+  var DEFAULTS = {
+    " ": "playPause",
+    ArrowLeft: "seekBackward",
+    ArrowRight: "seekForward",
+    ArrowUp: "volumeUp",
+    ArrowDown: "volumeDown",
+    n: "next",
+    p: "prev",
+    m: "mute",
+    l: "playlist",
+    s: "shuffle",
+    r: "repeat",
+    v: "visualizer",
+  };
+  for (var j = 0; j < 10; j++) {
+    DEFAULTS[String(j)] = "jump" + j;
+  }
+
+  /**
+   * Keys that only modify others, so can't be bound on their own.
+   * @type {Array}
+   */
+  var MODIFIERS = ["Shift", "Control", "Alt", "Meta", "CapsLock"];
+
+  /**
+   * Normalize a KeyboardEvent.key so "N" and "n" are the same binding.
+   * @param  {String} key Key from the event.
+   * @return {String}
+   */
+  var normalize = function (key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+  };
+
+  /**
+   * Readable name of a key for the help overlay.
+   * @param  {String} key Normalized key.
+   * @return {String}
+   */
+  var keyName = function (key) {
+    var names = {
+      " ": "Space",
+      ArrowLeft: "←",
+      ArrowRight: "→",
+      ArrowUp: "↑",
+      ArrowDown: "↓",
+    };
+
+    return names[key] || (key.length === 1 ? key.toUpperCase() : key);
+  };
+
+  /**
+   * Keyboard shortcut layer for a Player. "?" shows the help overlay and Escape closes it.
+   * @param {Player} player Player to control.
+   * @param {Object} o      Options:
+   *   overlay  {Element} Help overlay to toggle.
+   *   list     {Element} Element inside the overlay to render the bindings into.
+   *   bindings {Object}  Bindings to use instead of the defaults ({key: action}).
+   */
+  var Shortcuts = function (player, o) {
+    var self = this;
+    o = o || {};
+
+    self.player = player;
+    self.overlay = o.overlay || null;
+    self.list = o.list || null;
+    self.defaults = o.bindings || DEFAULTS;
+    self.bindings =
+      Shortcuts.readBindings() || Object.assign({}, self.defaults);
+
+    // Action waiting for a new key in the help overlay.
+    self.remapping = null;
+
+    document.addEventListener("keydown", self.keydown.bind(self));
+    if (self.list) {
+      self.list.addEventListener("click", function (event) {
+        var row = event.target.closest("[data-action]");
+        if (row) {
+          event.stopPropagation();
+          self.remapping = row.getAttribute("data-action");
+          self.render();
+        }
+      });
+    }
+
+    self.render();
+  };
+  Shortcuts.prototype = {
+    /**
+     * Run the action bound to a key press.
+     * @param  {KeyboardEvent} event
+     */
+    keydown: function (event) {
+      var self = this;
+      var target = event.target;
+
+      // Leave browser shortcuts and typing in form fields alone.
+      if (event.ctrlKey || event.metaKey || event.altKey) {
+        return;
+      }
+      if (target && /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) {
+        return;
+      }
+
+      var key = normalize(event.key);
+
+      if (self.remapping) {
+        event.preventDefault();
+
+        // Wait for the key itself rather than a modifier held down with it.
+        if (MODIFIERS.indexOf(key) >= 0) {
+          return;
+        }
+
+        // Escape cancels, and "?" is kept for the help overlay.
+        if (key !== "Escape" && key !== "?") {
+          self.bind(key, self.remapping);
+        }
+        self.remapping = null;
+        self.render();
+        return;
+      }
+
+      if (key === "?") {
+        self.toggleHelp();
+      } else if (key === "Escape" && self.isHelpOpen()) {
+        self.toggleHelp();
+      } else if (ACTIONS[self.bindings[key]]) {
+        // Stop space and the arrows from scrolling the page as well.
+        event.preventDefault();
+        ACTIONS[self.bindings[key]].run(self.player);
+      }
+    },
+
+    /**
+     * Bind a key to an action, replacing the action's previous key and whatever the key did before.
+     * @param  {String} key    KeyboardEvent.key value.
+     * @param  {String} action Action name (see Shortcuts.ACTIONS).
+     */
+    bind: function (key, action) {
+      var self = this;
+
+      if (!ACTIONS[action]) {
+        throw new Error("Unknown shortcut action: " + action + ".");
+      }
+
+      self.unbind(action);
+      self.bindings[normalize(key)] = action;
+      self.saveBindings();
+    },
+
+    /**
+     * Remove every key bound to an action.
+     * @param  {String} action Action name.
+     */
+    unbind: function (action) {
+      var self = this;
+
+      Object.keys(self.bindings).forEach(function (key) {
+        if (self.bindings[key] === action) {
+          delete self.bindings[key];
+        }
+      });
+      self.saveBindings();
+    },
+
+    /**
+     * Go back to the default bindings.
+     */
+    reset: function () {
+      var self = this;
+
+      self.bindings = Object.assign({}, self.defaults);
+      self.remapping = null;
+
+      try {
+        localStorage.removeItem(Shortcuts.STORAGE_KEY);
+      } catch (e) {}
+
+      self.render();
+    },
+
+    /**
+     * Remember remapped bindings across visits.
+     */
+    saveBindings: function () {
+      var self = this;
+
+      try {
+        localStorage.setItem(
+          Shortcuts.STORAGE_KEY,
+          JSON.stringify(self.bindings),
+        );
+      } catch (e) {}
+    },
+
+    /**
+     * List the bindings in the help overlay, one row per action.
+     */
+    render: function () {
+      var self = this;
+
+      if (!self.list) {
+        return;
+      }
+
+      self.list.innerHTML = "";
+      Object.keys(ACTIONS).forEach(function (action) {
+        var keys = Object.keys(self.bindings).filter(function (key) {
+          return self.bindings[key] === action;
+        });
+
+        var row = document.createElement("div");
+        row.className = "shortcut";
+        row.setAttribute("data-action", action);
+
+        var keyEl = document.createElement("span");
+        keyEl.className = "shortcut-key";
+        keyEl.textContent =
+          self.remapping === action
+            ? "Press a key…"
+            : keys.map(keyName).join(" / ") || "—";
+
+        var label = document.createElement("span");
+        label.textContent = ACTIONS[action].label;
+
+        row.appendChild(keyEl);
+        row.appendChild(label);
+        self.list.appendChild(row);
+      });
+    },
+
+    /**
+     * Check if the help overlay is showing.
+     * @return {Boolean}
+     */
+    isHelpOpen: function () {
+      return !!this.overlay && this.overlay.style.display === "block";
+    },
+
+    /**
+     * Toggle the help overlay on/off.
+     */
+    toggleHelp: function () {
+      var self = this;
+
+      if (!self.overlay) {
+        return;
+      }
+
+      var display = self.isHelpOpen() ? "none" : "block";
+      self.remapping = null;
+      self.render();
+
+      setTimeout(
+        function () {
+          self.overlay.style.display = display;
+        },
+        display === "block" ? 0 : 500,
+      );
+      self.overlay.className = display === "block" ? "fadein" : "fadeout";
+    },
+  };
+
+  /**
+   * localStorage key for remapped bindings.
+   * @type {String}
+   */
+  Shortcuts.STORAGE_KEY = "player-shortcuts";
+
+  Shortcuts.ACTIONS = ACTIONS;
+  Shortcuts.DEFAULTS = DEFAULTS;
+
+  /**
+   * Read remapped bindings saved by a previous visit.
+   * @return {Object} Bindings ({key: action}), or null if there are none.
+   */
+  Shortcuts.readBindings = function () {
+    try {
+      var bindings = JSON.parse(localStorage.getItem(Shortcuts.STORAGE_KEY));
+      return bindings && typeof bindings === "object" ? bindings : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  window.Shortcuts = Shortcuts;
+})();
@@ -2,85 +2,71 @@
 
 (function() {
 
-function SiriWave(opt) {
-  opt = opt || {};
+function hex2rgb(hex) {
+  var shorthandRegex = /^#?([a-f\d])([a-f\d])([a-f\d])$/i;
+  hex = hex.replace(shorthandRegex, function(m,r,g,b) { return r + r + g + g + b + b; });
+  var result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  return result ?
+  parseInt(result[1],16).toString()+','+parseInt(result[2], 16).toString()+','+parseInt(result[3], 16).toString()
+  : null;
+}
 
+function now() {
+  return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+}
+
+/**
+ * Draws the wave on a canvas. Runs on the page, or in a Worker with an OffscreenCanvas (see workerSource),
+ * so it only uses what both have. SiriWave below passes it every call.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {Object} opt {amplitude, speed, frequency, color, colors, style} with colors as 'r,g,b'.
+ */
+function Wave(canvas, opt) {
   this.phase = 0;
   this.run = false;
 
-  // UI vars
-
-  this.ratio = opt.ratio || window.devicePixelRatio || 1;
-
-  this.width = this.ratio * (opt.width || 320);
-  this.width_2 = this.width / 2;
-  this.width_4 = this.width / 4;
-
-  this.height = this.ratio * (opt.height || 100);
-  this.height_2 = this.height / 2;
-
-  this.MAX = (this.height_2) - 4;
-
-  // Constructor opt
-
-  this.amplitude = opt.amplitude || 1;
-  this.speed = opt.speed || 0.2;
-  this.frequency = opt.frequency || 6;
-  this.color = (function hex2rgb(hex){
-    var shorthandRegex = /^#?([a-f\d])([a-f\d])([a-f\d])$/i;
-    hex = hex.replace(shorthandRegex, function(m,r,g,b) { return r + r + g + g + b + b; });
-    var result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ?
-    parseInt(result[1],16).toString()+','+parseInt(result[2], 16).toString()+','+parseInt(result[3], 16).toString()
-    : null;
-  })(opt.color || '#fff') || '255,255,255';
-
-  // Canvas
-
-  this.canvas = document.createElement('canvas');
-  this.canvas.width = this.width;
-  this.canvas.height = this.height;
-  if (opt.cover) {
-    this.canvas.style.width = this.canvas.style.height = '100%';
-  } else {
-    this.canvas.style.width = (this.width / this.ratio) + 'px';
-    this.canvas.style.height = (this.height / this.ratio) + 'px';
-  };
+  this.amplitude = opt.amplitude;
+  this.speed = opt.speed;
+  this.frequency = opt.frequency;
+  this.color = opt.color;
+  this.colors = opt.colors;
+  this._curves = null;
+  this.setStyle(opt.style);
 
-  this.container = opt.container || document.body;
-  this.container.appendChild(this.canvas);
+  // Attenuation per x position, kept per instance.
+  this._GATF_cache = {};
 
-  this.ctx = this.canvas.getContext('2d');
+  // Running transitions by property: {from, to, start, duration}.
+  this._transitions = {};
 
-  // Start
+  // Stop the loop once the amplitude has eased down (see settle).
+  this._settling = false;
 
-  if (opt.autostart) {
-    this.start();
-  }
+  this.canvas = canvas;
+  this.ctx = canvas.getContext('2d');
 }
 
-SiriWave.prototype._GATF_cache = {};
-SiriWave.prototype._globAttFunc = function(x) {
-  if (SiriWave.prototype._GATF_cache[x] == null) {
-    SiriWave.prototype._GATF_cache[x] = Math.pow(4/(4+Math.pow(x,4)), 4);
+Wave.prototype._globAttFunc = function(x) {
+  if (this._GATF_cache[x] == null) {
+    this._GATF_cache[x] = Math.pow(4/(4+Math.pow(x,4)), 4);
   }
-  return SiriWave.prototype._GATF_cache[x];
+  return this._GATF_cache[x];
 };
 
-SiriWave.prototype._xpos = function(i) {
+Wave.prototype._xpos = function(i) {
   return this.width_2 + i * this.width_4;
 };
 
-SiriWave.prototype._ypos = function(i, attenuation) {
+Wave.prototype._ypos = function(i, attenuation) {
   var att = (this.MAX * this.amplitude) / attenuation;
   return this.height_2 + this._globAttFunc(i) * att * Math.sin(this.frequency * i - this.phase);
 };
 
-SiriWave.prototype._drawLine = function(attenuation, color, width){
+Wave.prototype._drawLine = function(attenuation, color, width){
   this.ctx.moveTo(0,0);
   this.ctx.beginPath();
   this.ctx.strokeStyle = color;
-  this.ctx.lineWidth = width || 1;
+  this.ctx.lineWidth = (width || 1) * this.ratio;
 
   var i = -2;
   while ((i += 0.01) <= 2) {
@@ -92,52 +78,512 @@ SiriWave.prototype._drawLine = function(attenuation, color, width){
   this.ctx.stroke();
 };
 
-SiriWave.prototype._clear = function() {
+Wave.prototype._clear = function() {
   this.ctx.globalCompositeOperation = 'destination-out';
   this.ctx.fillRect(0, 0, this.width, this.height);
   this.ctx.globalCompositeOperation = 'source-over';
 };
 
-SiriWave.prototype._draw = function() {
+Wave.prototype._spawn = function(curve) {
+  curve.amplitude = 0.3 + Math.random() * 0.7;
+  curve.offset = Math.random() * 3 - 1.5;
+  curve.width = 1 + Math.random() * 2;
+  curve.speed = 0.5 + Math.random() * 0.5;
+  curve.verse = Math.random() < 0.5 ? -1 : 1;
+  curve.life = 0;
+  curve.lifeSpeed = 0.005 + Math.random() * 0.01;
+  return curve;
+};
+
+Wave.prototype._initCurves = function() {
+  var self = this;
+
+  // A few bumps per color, each fading in and out at its own pace and respawning somewhere else.
+  self._curves = self.colors.map(function() {
+    var subs = [];
+    for (var i = 0; i < 3; i++) {
+      var sub = self._spawn({ phase: Math.random() * 2 * Math.PI });
+      sub.life = Math.random();
+      subs.push(sub);
+    }
+    return subs;
+  });
+};
+
+Wave.prototype._curveY = function(subs, i) {
+  var y = 0;
+  for (var j = 0; j < subs.length; j++) {
+    var sub = subs[j];
+    var x = sub.width * (i - sub.offset);
+    var att = Math.pow(4/(4+Math.pow(x,4)), 4);
+    y += sub.amplitude * Math.sin(sub.life * Math.PI) * att * Math.abs(Math.sin(sub.verse * x - sub.phase));
+  }
+  return Math.min(1, y);
+};
+
+Wave.prototype._drawCurve = function(subs, color) {
+  var ctx = this.ctx;
+  var att = this.MAX * this.amplitude;
+  var i;
+
+  ctx.beginPath();
+  ctx.fillStyle = 'rgba(' + color + ',0.9)';
+
+  // Mirrored: along the top from left to right, then back along the bottom.
+  ctx.moveTo(this._xpos(-2), this.height_2);
+  for (i = -2; i <= 2; i += 0.01) {
+    ctx.lineTo(this._xpos(i), this.height_2 - this._curveY(subs, i) * att);
+  }
+  for (i = 2; i >= -2; i -= 0.01) {
+    ctx.lineTo(this._xpos(i), this.height_2 + this._curveY(subs, i) * att);
+  }
+
+  ctx.closePath();
+  ctx.fill();
+};
+
+Wave.prototype._drawIos9 = function() {
+  var self = this;
+
+  self._curves.forEach(function(subs) {
+    subs.forEach(function(sub) {
+      sub.phase = (sub.phase + Math.PI * self.speed * sub.speed) % (2 * Math.PI);
+      sub.life += sub.lifeSpeed;
+      if (sub.life >= 1) {
+        self._spawn(sub);
+      }
+    });
+  });
+
+  // Overlapping curves add up towards white.
+  self.ctx.globalCompositeOperation = 'lighter';
+  self._curves.forEach(function(subs, i) {
+    self._drawCurve(subs, self.colors[i]);
+  });
+  self.ctx.globalCompositeOperation = 'source-over';
+
+  // A thin line across the middle, so there is something to see when it is quiet.
+  self.ctx.beginPath();
+  self.ctx.strokeStyle = 'rgba(' + self.color + ',0.5)';
+  self.ctx.lineWidth = self.ratio;
+  self.ctx.moveTo(self._xpos(-1.9), self.height_2);
+  self.ctx.lineTo(self._xpos(1.9), self.height_2);
+  self.ctx.stroke();
+};
+
+Wave.prototype._transition = function(prop, to, duration) {
+  if (!duration || !this.run) {
+    delete this._transitions[prop];
+    this[prop] = to;
+    return;
+  }
+
+  var from = this[prop];
+  if (prop === 'color') {
+    from = from.split(',').map(Number);
+    to = to.split(',').map(Number);
+  }
+
+  this._transitions[prop] = { from: from, to: to, start: now(), duration: duration };
+};
+
+Wave.prototype._step = function() {
+  var time = now();
+
+  for (var prop in this._transitions) {
+    var t = this._transitions[prop];
+    var p = Math.min(1, (time - t.start) / t.duration);
+    // Ease in and out.
+    p = p < 0.5 ? 2 * p * p : 1 - Math.pow(-2 * p + 2, 2) / 2;
+
+    if (prop === 'color') {
+      this.color = t.from.map(function(v, i) {
+        return Math.round(v + (t.to[i] - v) * p);
+      }).join(',');
+    } else {
+      this[prop] = t.from + (t.to - t.from) * p;
+    }
+
+    if (time - t.start >= t.duration) {
+      delete this._transitions[prop];
+    }
+  }
+};
+
+Wave.prototype._draw = function() {
   if (this.run === false) return;
 
+  this._step();
   this.phase = (this.phase + Math.PI*this.speed) % (2*Math.PI);
 
   this._clear();
-  this._drawLine(-2, 'rgba(' + this.color + ',0.1)');
-  this._drawLine(-6, 'rgba(' + this.color + ',0.2)');
-  this._drawLine(4, 'rgba(' + this.color + ',0.4)');
-  this._drawLine(2, 'rgba(' + this.color + ',0.6)');
-  this._drawLine(1, 'rgba(' + this.color + ',1)', 1.5);
+  if (this.style === 'ios9') {
+    this._drawIos9();
+  } else {
+    this._drawLine(-2, 'rgba(' + this.color + ',0.1)');
+    this._drawLine(-6, 'rgba(' + this.color + ',0.2)');
+    this._drawLine(4, 'rgba(' + this.color + ',0.4)');
+    this._drawLine(2, 'rgba(' + this.color + ',0.6)');
+    this._drawLine(1, 'rgba(' + this.color + ',1)', 1.5);
+  }
+
+  if (this._settling && !this._transitions.amplitude) {
+    this._settling = false;
+    this.run = false;
+    return;
+  }
 
-  if (window.requestAnimationFrame) {
+  if (typeof requestAnimationFrame !== 'undefined') {
     requestAnimationFrame(this._draw.bind(this));
     return;
   };
   setTimeout(this._draw.bind(this), 20);
 };
 
-/* API */
+Wave.prototype.start = function() {
+  this._settling = false;
+  if (this.run) return;
 
-SiriWave.prototype.start = function() {
   this.phase = 0;
   this.run = true;
   this._draw();
 };
 
-SiriWave.prototype.stop = function() {
+Wave.prototype.stop = function() {
   this.phase = 0;
   this.run = false;
+  this._settling = false;
+
+  // Nothing is drawn while stopped, so skip straight to where the transitions were heading.
+  for (var prop in this._transitions) {
+    var to = this._transitions[prop].to;
+    this[prop] = prop === 'color' ? to.join(',') : to;
+  }
+  this._transitions = {};
 };
 
-SiriWave.prototype.setSpeed = function(v) {
+Wave.prototype.settle = function(duration) {
+  this.setAmplitude(0, duration);
+  this._settling = true;
+
+  // Draw the flat line even if we weren't running.
+  if (!this.run) {
+    this.run = true;
+    this._draw();
+  }
+};
+
+Wave.prototype.resize = function(width, height, ratio) {
+  this.ratio = ratio;
+
+  this.width = this.ratio * width;
+  this.width_2 = this.width / 2;
+  this.width_4 = this.width / 4;
+
+  this.height = this.ratio * height;
+  this.height_2 = this.height / 2;
+
+  this.MAX = (this.height_2) - 4 * this.ratio;
+
+  this.canvas.width = this.width;
+  this.canvas.height = this.height;
+};
+
+Wave.prototype.setSpeed = function(v) {
   this.speed = v;
 };
 
-SiriWave.prototype.setNoise = SiriWave.prototype.setAmplitude = function(v) {
-  this.amplitude = Math.max(Math.min(v, 1), 0);
+Wave.prototype.setAmplitude = function(v, duration) {
+  this._transition('amplitude', v, duration);
+};
+
+Wave.prototype.setFrequency = function(v, duration) {
+  this._transition('frequency', v, duration);
+};
+
+Wave.prototype.setColor = function(color, duration) {
+  this._transition('color', color, duration);
 };
 
+Wave.prototype.setStyle = function(style) {
+  this.style = style;
+  if (style === 'ios9' && !this._curves) {
+    this._initCurves();
+  }
+};
+
+Wave.prototype.destroy = function() {
+  this.stop();
+  this.ctx = null;
+  this.canvas = null;
+  this._GATF_cache = {};
+};
+
+/* Worker */
+
+var workerSource = (function() {
+  var source = 'var now = ' + now.toString() + ';\n' + 'var Wave = ' + Wave.toString() + ';\n';
+  for (var key in Wave.prototype) {
+    source += 'Wave.prototype.' + key + ' = ' + Wave.prototype[key].toString() + ';\n';
+  }
+
+  // The first message hands over the canvas, the rest are calls to make on the wave.
+  return source +
+    'var wave;\n' +
+    'onmessage = function(event) {\n' +
+    '  if (event.data.method === "init") {\n' +
+    '    wave = new Wave(event.data.args[0], event.data.args[1]);\n' +
+    '    return;\n' +
+    '  }\n' +
+    '  wave[event.data.method].apply(wave, event.data.args);\n' +
+    '};\n';
+})();
+
+/**
+ * Hand a canvas over to a Worker that draws the wave on it, where the browser supports it.
+ * @param  {HTMLCanvasElement} canvas
+ * @param  {Object}            opt    Options for Wave.
+ * @return {Worker}                   Or null if the wave has to be drawn on the page.
+ */
+function offscreenWorker(canvas, opt) {
+  if (!canvas.transferControlToOffscreen || typeof Worker === 'undefined' || typeof Blob === 'undefined') {
+    return null;
+  }
+
+  var worker;
+  try {
+    worker = new Worker(URL.createObjectURL(new Blob([workerSource], { type: 'application/javascript' })));
+  } catch (e) {
+    return null;
+  }
+
+  try {
+    var offscreen = canvas.transferControlToOffscreen();
+    worker.postMessage({ method: 'init', args: [offscreen, opt] }, [offscreen]);
+  } catch (e) {
+    worker.terminate();
+    return null;
+  }
+
+  return worker;
+}
+
+/* API */
+
+/**
+ * The wave. Drawing happens off the main thread when the browser can transfer the canvas to a Worker,
+ * and on the page otherwise.
+ * @param {Object} opt Options:
+ *   container {Element} Element to add the canvas to (default document.body).
+ *   width     {Number}  Width in CSS pixels (default 320).
+ *   height    {Number}  Height in CSS pixels (default 100).
+ *   ratio     {Number}  Device pixel ratio to draw at (default window.devicePixelRatio).
+ *   cover     {Boolean} Stretch the canvas over the container.
+ *   amplitude {Number}  0 to 1 (default 1).
+ *   speed     {Number}  Default 0.2.
+ *   frequency {Number}  Default 6.
+ *   color     {String}  Hex color (default '#fff').
+ *   colors    {Array}   Hex colors of the curves in the 'ios9' style (default SiriWave.IOS9_COLORS).
+ *   style     {String}  'classic' or 'ios9' (default 'classic').
+ *   worker    {Boolean} Set to false to always draw on the page.
+ *   autostart {Boolean} Start straight away.
+ */
+function SiriWave(opt) {
+  opt = opt || {};
+
+  this.fixedRatio = opt.ratio || null;
+  this.cover = !!opt.cover;
+  this.style = opt.style || 'classic';
+  if (SiriWave.STYLES.indexOf(this.style) === -1) {
+    throw new Error('Unknown SiriWave style: ' + this.style + '.');
+  }
+
+  // Canvas
+
+  this.canvas = document.createElement('canvas');
+  if (this.cover) {
+    this.canvas.style.width = this.canvas.style.height = '100%';
+  }
+
+  this.container = opt.container || document.body;
+  this.container.appendChild(this.canvas);
+
+  var config = {
+    amplitude: opt.amplitude || 1,
+    speed: opt.speed || 0.2,
+    frequency: opt.frequency || 6,
+    color: hex2rgb(opt.color || '#fff') || '255,255,255',
+    colors: (opt.colors || SiriWave.IOS9_COLORS).map(function(hex) {
+      return hex2rgb(hex) || '255,255,255';
+    }),
+    style: this.style
+  };
+
+  // The latest calls made on the wave, to set it up again if the Worker fails (see _fallback).
+  this._config = config;
+  this._calls = {};
+
+  this.worker = opt.worker === false ? null : offscreenWorker(this.canvas, config);
+  this.wave = this.worker ? null : new Wave(this.canvas, config);
+  if (this.worker) {
+    this.worker.onerror = this._fallback.bind(this);
+  }
+
+  this.resize(opt.width || 320, opt.height || 100);
+
+  // Start
+
+  if (opt.autostart) {
+    this.start();
+  }
+}
+
+SiriWave.prototype._call = function(method, args) {
+  // start, stop and settle all set whether it is running, so only the last of them counts.
+  var key = /^(start|stop|settle)$/.test(method) ? 'run' : method;
+  this._calls[key] = { method: method, args: args };
+
+  if (this.worker) {
+    this.worker.postMessage({ method: method, args: args });
+  } else if (this.wave) {
+    this.wave[method].apply(this.wave, args);
+  }
+};
+
+/**
+ * Go back to drawing on the page when the Worker fails (e.g. it can't be loaded). It has the canvas,
+ * so the wave gets a new one, set up the way the Worker's was.
+ */
+SiriWave.prototype._fallback = function() {
+  if (!this.worker) {
+    return;
+  }
+
+  console.warn('SiriWave Worker failed, drawing on the page instead.');
+  this.worker.terminate();
+  this.worker = null;
+
+  var canvas = document.createElement('canvas');
+  canvas.style.cssText = this.canvas.style.cssText;
+  if (this.canvas.parentNode) {
+    this.canvas.parentNode.replaceChild(canvas, this.canvas);
+  }
+  this.canvas = canvas;
+  this.wave = new Wave(canvas, this._config);
+
+  var calls = this._calls;
+  var wave = this.wave;
+  ['resize', 'setStyle', 'setColor', 'setFrequency', 'setSpeed', 'setAmplitude', 'run'].forEach(function(key) {
+    if (calls[key]) {
+      wave[calls[key].method].apply(wave, calls[key].args);
+    }
+  });
+};
+
+SiriWave.prototype.start = function() {
+  this._call('start', []);
+};
+
+SiriWave.prototype.stop = function() {
+  this._call('stop', []);
+};
+
+/**
+ * Ease the wave down to a flat line and then stop the loop, leaving the line drawn.
+ * start() brings it back to life.
+ * @param  {Number} duration Milliseconds to ease over (leave empty to flatten it straight away).
+ */
+SiriWave.prototype.settle = function(duration) {
+  this._call('settle', [duration]);
+};
+
+/**
+ * Resize the wave. Sizes are in CSS pixels and the canvas is scaled up by the device pixel ratio,
+ * so call it again when that changes (e.g. the window moves to another screen).
+ * @param  {Number} width
+ * @param  {Number} height
+ */
+SiriWave.prototype.resize = function(width, height) {
+  this.ratio = this.fixedRatio || window.devicePixelRatio || 1;
+
+  if (!this.cover) {
+    this.canvas.style.width = width + 'px';
+    this.canvas.style.height = height + 'px';
+  }
+
+  this._call('resize', [width, height, this.ratio]);
+};
+
+SiriWave.prototype.setSpeed = function(v) {
+  this._call('setSpeed', [v]);
+};
+
+/**
+ * Set how tall the wave is.
+ * @param  {Number} v        0 to 1.
+ * @param  {Number} duration Milliseconds to animate over (leave empty to jump there).
+ */
+SiriWave.prototype.setNoise = SiriWave.prototype.setAmplitude = function(v, duration) {
+  this._call('setAmplitude', [Math.max(Math.min(v, 1), 0), duration]);
+};
+
+/**
+ * Set how many waves fit across.
+ * @param  {Number} v
+ * @param  {Number} duration Milliseconds to animate over (leave empty to jump there).
+ */
+SiriWave.prototype.setFrequency = function(v, duration) {
+  this._call('setFrequency', [v, duration]);
+};
+
+/**
+ * Set the color of the wave.
+ * @param  {String} hex      Color as '#rrggbb' or '#rgb'.
+ * @param  {Number} duration Milliseconds to animate over (leave empty to jump there).
+ */
+SiriWave.prototype.setColor = function(hex, duration) {
+  var color = hex2rgb(hex);
+  if (!color) {
+    throw new Error('Invalid SiriWave color: ' + hex + '.');
+  }
+  this._call('setColor', [color, duration]);
+};
+
+/**
+ * Switch the drawing style, even while running.
+ * @param  {String} style 'classic' (one sine with fading echoes) or 'ios9' (several colored curves blended together).
+ */
+SiriWave.prototype.setStyle = function(style) {
+  if (SiriWave.STYLES.indexOf(style) === -1) {
+    throw new Error('Unknown SiriWave style: ' + style + '.');
+  }
+
+  this.style = style;
+  this._call('setStyle', [style]);
+};
+
+/**
+ * Stop the wave and remove its canvas. The instance can't be used again.
+ */
+SiriWave.prototype.destroy = function() {
+  if (this.worker) {
+    this.worker.terminate();
+    this.worker = null;
+  } else if (this.wave) {
+    this.wave.destroy();
+    this.wave = null;
+  }
+
+  if (this.canvas.parentNode) {
+    this.canvas.parentNode.removeChild(this.canvas);
+  }
+  this.canvas = null;
+};
+
+SiriWave.STYLES = ['classic', 'ios9'];
+
+// Blue, red and green, as on iOS 9.
+SiriWave.IOS9_COLORS = ['#0f52a9', '#ad394c', '#30dc9b'];
 
 if (typeof define === 'function' && define.amd) {
   define(function(){ return SiriWave; });
@@ -0,0 +1,368 @@
+/*!
+ *  Visualizers for the audio player.
+ *
+ *  A visualizer draws in the #waveform slot and has four methods (and an optional fifth):
+ *    start()               Show it, at rest until playback starts.
+ *    stop()                Stop animating and hide it.
+ *    resize(width, height) Fit a new size, in CSS pixels.
+ *    draw(data)            Draw a frame: data is {time, freq, level, energy, progress, sound}, where time
+ *                          (Float32Array) and freq (Uint8Array) come from the AnalyserNode and are null
+ *                          (level and energy too) without Web Audio. progress is how far through the
+ *                          track we are (0 to 1) and sound its Howl.
+ *    setPlaying(playing)   Playback started, or paused (or the page was hidden): come to life, or ease
+ *                          down to rest and stop animating. draw is only called while playing.
+ *
+ *  To add one, load a script after this file (and before player.js) that calls:
+ *    Visualizers.register(name, {label: "...", create: function (container) { return visualizer; }});
+ *  Add analyser: true if it only has something to show with the AnalyserNode's readings, and the player
+ *  will show the track's waveform in its place when the playing track can't be analysed.
+ */
+
+(function () {
+  var registry = {};
+  var names = [];
+
+  /**
+   * Add a canvas that fills the container, hidden until the visualizer starts.
+   * @param  {Element} container
+   * @return {HTMLCanvasElement}
+   */
+  var addCanvas = function (container) {
+    var canvas = document.createElement("canvas");
+    canvas.style.width = canvas.style.height = "100%";
+    canvas.style.display = "none";
+    container.appendChild(canvas);
+
+    return canvas;
+  };
+
+  /**
+   * Base for the canvas visualizers: handles showing, hiding and sizing, leaving draw to each one.
+   * @param {Element}  container Element to draw in.
+   * @param {Function} render    Called with (ctx, width, height, ratio, data) to draw a frame on a cleared canvas.
+   */
+  var CanvasVisualizer = function (container, render) {
+    this.canvas = addCanvas(container);
+    this.ctx = this.canvas.getContext("2d");
+    this.ratio = window.devicePixelRatio || 1;
+    this.render = render;
+  };
+  CanvasVisualizer.prototype = {
+    start: function () {
+      this.canvas.style.display = "block";
+      this.rest();
+    },
+
+    stop: function () {
+      this.canvas.style.display = "none";
+    },
+
+    resize: function (width, height) {
+      this.ratio = window.devicePixelRatio || 1;
+      this.canvas.width = width * this.ratio;
+      this.canvas.height = height * this.ratio;
+      this.rest();
+    },
+
+    setPlaying: function (playing) {
+      if (!playing) {
+        this.rest();
+      }
+    },
+
+    // Draw as if it were silent.
+    rest: function () {
+      this.draw({
+        time: null,
+        freq: null,
+        level: null,
+        energy: null,
+        progress: 0,
+        sound: null,
+      });
+    },
+
+    draw: function (data) {
+      var canvas = this.canvas;
+
+      this.ctx.clearRect(0, 0, canvas.width, canvas.height);
+      this.render(this.ctx, canvas.width, canvas.height, this.ratio, data);
+    },
+  };
+
+  /**
+   * Average the spectrum into a number of bands, spread logarithmically so the bass isn't squashed
+   * into the first band. Only the lower three quarters of the bins are used, as there is little above.
+   * @param  {Uint8Array} freq  Spectrum from the AnalyserNode.
+   * @param  {Number}     count Number of bands.
+   * @return {Array}            Band levels from 0 to 1.
+   */
+  var bands = function (freq, count) {
+    var out = [];
+    var bins = Math.floor(freq.length * 0.75);
+
+    for (var i = 0; i < count; i++) {
+      var from = Math.floor(Math.pow(bins, i / count));
+      var to = Math.max(from + 1, Math.floor(Math.pow(bins, (i + 1) / count)));
+      var sum = 0;
+      for (var j = from; j < to; j++) {
+        sum += freq[j];
+      }
+      out.push(sum / ((to - from) * 255));
+    }
+
+    return out;
+  };
+
+  var Visualizers = {
+    /**
+     * Register a visualizer (or replace one with the same name).
+     * @param  {String} name Name to select it by (and to remember the choice by).
+     * @param  {Object} def  {label, create(container), analyser} where create returns the visualizer and
+     *                       analyser is true if it needs the AnalyserNode's readings.
+     */
+    register: function (name, def) {
+      if (!registry[name]) {
+        names.push(name);
+      }
+      registry[name] = def;
+    },
+
+    /**
+     * Get a registered visualizer.
+     * @param  {String} name
+     * @return {Object}      {label, create, analyser}, or null if there is none by that name.
+     */
+    get: function (name) {
+      return registry[name] || null;
+    },
+
+    /**
+     * Names of the registered visualizers, in the order they were registered.
+     * @return {Array}
+     */
+    names: function () {
+      return names.slice();
+    },
+
+    CanvasVisualizer: CanvasVisualizer,
+    bands: bands,
+  };
+
+  /** Built-in Visualizers **/
+
+  // SiriWaves made so far, by container: {container, wave}.
+  var waves = [];
+
+  // Height of the wave while playing (without Web Audio to follow the music), and how long it
+  // takes to get there from flat and back, in milliseconds.
+  var AMPLITUDE = 0.7;
+  var EASE = 400;
+
+  /**
+   * Visualizer for a SiriWave drawing style. All the styles share one SiriWave, switching it
+   * over when they start, so there is only ever one wave canvas.
+   * @param  {String} style SiriWave style.
+   * @return {Function}     create(container) for Visualizers.register.
+   */
+  var siriWave = function (style) {
+    return function (container) {
+      var shared = waves.filter(function (item) {
+        return item.container === container;
+      })[0];
+
+      if (!shared) {
+        shared = {
+          container: container,
+          wave: new SiriWave({
+            container: container,
+            width: window.innerWidth,
+            height: window.innerHeight * 0.3,
+            cover: true,
+            speed: 0.03,
+            amplitude: AMPLITUDE,
+            frequency: 2,
+          }),
+        };
+        shared.wave.canvas.style.display = "none";
+        waves.push(shared);
+      }
+
+      var wave = shared.wave;
+      var playing = false;
+      // Leave the amplitude to the easing until then.
+      var wokenAt = 0;
+
+      return {
+        start: function () {
+          playing = false;
+          wave.setStyle(style);
+          wave.canvas.style.display = "block";
+          wave.settle();
+        },
+        stop: function () {
+          wave.stop();
+          wave.canvas.style.display = "none";
+        },
+        resize: function (width, height) {
+          wave.resize(width, height);
+          // Resizing clears the canvas, so draw the flat line again.
+          if (!playing) {
+            wave.settle();
+          }
+        },
+        setPlaying: function (play) {
+          if (play === playing) {
+            return;
+          }
+
+          playing = play;
+          if (playing) {
+            wokenAt = Date.now();
+            wave.start();
+            wave.setAmplitude(AMPLITUDE, EASE);
+          } else {
+            wave.settle(EASE);
+          }
+        },
+        // Louder makes it taller, busier makes it faster.
+        draw: function (data) {
+          if (playing && data.level !== null && Date.now() - wokenAt >= EASE) {
+            wave.setAmplitude(Math.min(1, data.level * 3));
+            wave.setSpeed(0.01 + data.energy * 0.15);
+          }
+        },
+      };
+    };
+  };
+
+  // The original animated wave, moving with the music when there is Web Audio to analyse.
+  Visualizers.register("siriwave", {
+    label: "Wave",
+    create: siriWave("classic"),
+  });
+
+  // The same wave drawn as colored curves blending into each other, like Siri on iOS 9.
+  Visualizers.register("siri", {
+    label: "Siri wave",
+    create: siriWave("ios9"),
+  });
+
+  // Bar spectrum.
+  Visualizers.register("bars", {
+    label: "Spectrum",
+    analyser: true,
+    create: function (container) {
+      return new CanvasVisualizer(container, function (
+        ctx,
+        width,
+        height,
+        ratio,
+        data,
+      ) {
+        var levels = data.freq ? bands(data.freq, 48) : new Array(48).fill(0);
+        var step = width / levels.length;
+        ctx.fillStyle = "rgba(255,255,255,0.8)";
+        levels.forEach(function (level, i) {
+          var h = Math.max(ratio, level * height);
+          ctx.fillRect(i * step + step * 0.15, height - h, step * 0.7, h);
+        });
+      });
+    },
+  });
+
+  // Circular spectrum: the bands radiate out from a ring in the middle.
+  Visualizers.register("circle", {
+    label: "Circular spectrum",
+    analyser: true,
+    create: function (container) {
+      return new CanvasVisualizer(container, function (
+        ctx,
+        width,
+        height,
+        ratio,
+        data,
+      ) {
+        var levels = data.freq ? bands(data.freq, 64) : new Array(64).fill(0);
+        var radius = Math.min(width, height) * 0.2;
+        var length = Math.min(width, height) * 0.3;
+        ctx.strokeStyle = "rgba(255,255,255,0.8)";
+        ctx.lineWidth = 2 * ratio;
+        ctx.beginPath();
+        levels.forEach(function (level, i) {
+          var angle = (i / levels.length) * Math.PI * 2 - Math.PI / 2;
+          var cos = Math.cos(angle);
+          var sin = Math.sin(angle);
+          var outer = radius + Math.max(ratio, level * length);
+          ctx.moveTo(width / 2 + cos * radius, height / 2 + sin * radius);
+          ctx.lineTo(width / 2 + cos * outer, height / 2 + sin * outer);
+        });
+        ctx.stroke();
+      });
+    },
+  });
+
+  // Oscilloscope: the raw waveform as it plays.
+  Visualizers.register("oscilloscope", {
+    label: "Oscilloscope",
+    analyser: true,
+    create: function (container) {
+      return new CanvasVisualizer(container, function (
+        ctx,
+        width,
+        height,
+        ratio,
+        data,
+      ) {
+        ctx.strokeStyle = "rgba(255,255,255,0.9)";
+        ctx.lineWidth = 1.5 * ratio;
+        ctx.beginPath();
+
+        if (!data.time) {
+          ctx.moveTo(0, height / 2);
+          ctx.lineTo(width, height / 2);
+        } else {
+          for (var i = 0; i < data.time.length; i++) {
+            var x = (i / (data.time.length - 1)) * width;
+            var y = ((1 - data.time[i]) / 2) * height;
+            if (i === 0) {
+              ctx.moveTo(x, y);
+            } else {
+              ctx.lineTo(x, y);
+            }
+          }
+        }
+
+        ctx.stroke();
+      });
+    },
+  });
+
+  // The real waveform of the track (see peaks.js).
+  Visualizers.register("peaks", {
+    label: "Waveform",
+    create: function (container) {
+      var peaks = new Peaks({ container: container });
+
+      return {
+        start: function () {
+          peaks.show(true);
+        },
+        stop: function () {
+          peaks.show(false);
+        },
+        resize: function (width, height) {
+          peaks.resize(width, height);
+        },
+        draw: function (data) {
+          if (data.sound) {
+            peaks.load(data.sound);
+          }
+          peaks.draw(data.progress);
+        },
+      };
+    },
+  });
+
+  window.Visualizers = Visualizers;
+})();
@@ -0,0 +1,265 @@
+/*!
+ *  Volume control for the audio player.
+ *  A slider on a perceptual (decibel) curve with mute, mouse-wheel and keyboard support,
+ *  driving Howler's global volume and remembering the level across visits.
+ */
+
+(function () {
+  /**
+   * Readable volume icon for a level, used as a class name on the buttons.
+   * @param  {Number}  level Slider level (0.0 to 1.0).
+   * @param  {Boolean} muted
+   * @return {String}        'vol-muted', 'vol-zero', 'vol-low' or 'vol-high'.
+   */
+  var iconFor = function (level, muted) {
+    if (muted) {
+      return "vol-muted";
+    }
+    if (level === 0) {
+      return "vol-zero";
+    }
+
+    return level < 0.5 ? "vol-low" : "vol-high";
+  };
+
+  /**
+   * Volume slider controlling Howler.volume and Howler.mute.
+   * @param {Object} o Elements to use:
+   *   track      {Element} Full-width bar the level is measured against.
+   *   fill       {Element} Bar showing the current level.
+   *   thumb      {Element} Handle to drag (also the keyboard-focusable slider).
+   *   button     {Element} Button whose icon reflects the level.
+   *   muteButton {Element} Button that toggles mute.
+   *   wheel      {Array}   Elements that change the volume on mouse-wheel.
+   */
+  var VolumeControl = function (o) {
+    var self = this;
+    var saved = VolumeControl.read();
+
+    self.track = o.track;
+    self.fill = o.fill;
+    self.thumb = o.thumb;
+    self.button = o.button || null;
+    self.muteButton = o.muteButton || null;
+
+    // Slider position (0.0 to 1.0), not the gain: see VolumeControl.gain.
+    self.level = saved ? saved.level : 1;
+    self.muted = saved ? saved.muted : false;
+    self.dragging = false;
+
+    self.bind(o.wheel || []);
+    self.apply();
+  };
+  VolumeControl.prototype = {
+    /**
+     * Setup pointer dragging, clicks, the mouse-wheel and keyboard steps.
+     * @param  {Array} wheel Elements that change the volume on mouse-wheel.
+     */
+    bind: function (wheel) {
+      var self = this;
+      var slider = [self.track, self.fill, self.thumb];
+
+      var levelAt = function (event) {
+        var rect = self.track.getBoundingClientRect();
+        return (event.clientX - rect.left) / rect.width;
+      };
+
+      slider.forEach(function (elm) {
+        elm.addEventListener("pointerdown", function (event) {
+          if (event.button !== 0) {
+            return;
+          }
+
+          self.dragging = true;
+          elm.setPointerCapture(event.pointerId);
+          self.set(levelAt(event));
+        });
+        elm.addEventListener("pointermove", function (event) {
+          if (self.dragging) {
+            self.set(levelAt(event));
+          }
+        });
+        elm.addEventListener("pointerup", function () {
+          self.dragging = false;
+        });
+        elm.addEventListener("pointercancel", function () {
+          self.dragging = false;
+        });
+
+        // Only clicks around the slider should close the volume overlay.
+        elm.addEventListener("click", function (event) {
+          event.stopPropagation();
+        });
+      });
+
+      wheel.forEach(function (elm) {
+        elm.addEventListener(
+          "wheel",
+          function (event) {
+            event.preventDefault();
+            if (event.deltaY) {
+              self.set(self.level + (event.deltaY < 0 ? 0.05 : -0.05));
+            }
+          },
+          { passive: false },
+        );
+      });
+
+      self.thumb.addEventListener("keydown", function (event) {
+        var steps = {
+          ArrowLeft: -0.05,
+          ArrowDown: -0.05,
+          ArrowRight: 0.05,
+          ArrowUp: 0.05,
+          PageDown: -0.2,
+          PageUp: 0.2,
+        };
+
+        if (event.key in steps) {
+          self.set(self.level + steps[event.key]);
+        } else if (event.key === "Home") {
+          self.set(0);
+        } else if (event.key === "End") {
+          self.set(1);
+        } else {
+          return;
+        }
+
+        // Don't let the keyboard shortcuts handle the same key again.
+        event.preventDefault();
+        event.stopPropagation();
+      });
+
+      if (self.muteButton) {
+        self.muteButton.addEventListener("click", function (event) {
+          event.stopPropagation();
+          self.mute();
+        });
+      }
+    },
+
+    /**
+     * Set the volume. Moving the slider up from silence also unmutes.
+     * @param  {Number} level Slider level between 0 and 1 (clamped).
+     */
+    set: function (level) {
+      var self = this;
+
+      self.level = Math.min(1, Math.max(0, level || 0));
+      if (self.level > 0) {
+        self.muted = false;
+      }
+
+      self.apply();
+    },
+
+    /**
+     * Mute or unmute all audio.
+     * @param  {Boolean} muted True to mute, false to unmute (leave empty to toggle).
+     */
+    mute: function (muted) {
+      var self = this;
+
+      self.muted = typeof muted === "boolean" ? muted : !self.muted;
+      self.apply();
+    },
+
+    /**
+     * Push the level to Howler, update the display and remember it.
+     */
+    apply: function () {
+      var self = this;
+
+      Howler.volume(VolumeControl.gain(self.level));
+      Howler.mute(self.muted);
+
+      self.render();
+      self.save();
+    },
+
+    /**
+     * Update the slider, the ARIA values and the icons.
+     */
+    render: function () {
+      var self = this;
+      var per = Math.round(self.level * 100);
+      var icon = iconFor(self.level, self.muted);
+
+      // Percentages keep the slider in place when the window is resized.
+      self.fill.style.width = self.level * 90 + "%";
+      self.thumb.style.left = "calc(" + (5 + self.level * 90) + "% - 25px)";
+
+      self.thumb.setAttribute("aria-valuenow", per);
+      self.thumb.setAttribute(
+        "aria-valuetext",
+        self.muted ? per + "% (muted)" : per + "%",
+      );
+
+      if (self.button) {
+        self.button.className = "btn " + icon;
+      }
+      if (self.muteButton) {
+        self.muteButton.className = icon;
+        self.muteButton.title = self.muted ? "Unmute" : "Mute";
+      }
+    },
+
+    /**
+     * Remember the level and mute for the next visit.
+     */
+    save: function () {
+      var self = this;
+
+      try {
+        localStorage.setItem(
+          VolumeControl.STORAGE_KEY,
+          JSON.stringify({ level: self.level, muted: self.muted }),
+        );
+      } catch (e) {}
+    },
+  };
+
+  /**
+   * localStorage key for the remembered level.
+   * @type {String}
+   */
+  VolumeControl.STORAGE_KEY = "player-volume";
+
+  /**
+   * Range of the slider in decibels: the bottom end (just above silence) is this much quieter than full volume.
+   * @type {Number}
+   */
+  VolumeControl.RANGE_DB = 50;
+
+  /**
+   * Convert a slider level into a gain for Howler.volume. Loudness is perceived logarithmically,
+   * so the slider moves in even steps of decibels rather than of gain.
+   * @param  {Number} level Slider level (0.0 to 1.0).
+   * @return {Number}       Gain (0.0 to 1.0).
+   */
+  VolumeControl.gain = function (level) {
+    return level > 0
+      ? Math.pow(10, (VolumeControl.RANGE_DB * (level - 1)) / 20)
+      : 0;
+  };
+
+  /**
+   * Read the level remembered from a previous visit.
+   * @return {Object} {level, muted}, or null if there is none.
+   */
+  VolumeControl.read = function () {
+    try {
+      var saved = JSON.parse(localStorage.getItem(VolumeControl.STORAGE_KEY));
+      if (saved && typeof saved.level === "number") {
+        return {
+          level: Math.min(1, Math.max(0, saved.level)),
+          muted: !!saved.muted,
+        };
+      }
+    } catch (e) {}
+
+    return null;
+  };
+
+  window.VolumeControl = VolumeControl;
+})();